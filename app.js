@@ -1,16 +1,439 @@
 import express from "express";
 import bodyParser from "body-parser";
-import { jokes } from "./jokes.js";
+import { STATUS_CODES } from "http";
+import proxyaddr from "proxy-addr";
+import { WebSocketServer } from "ws";
+import { jokes as seedJokes } from "./jokes.js";
+import { createStore } from "./storage/index.js";
+import { createIdAllocator, uniqueSlug, backfillSlugs } from "./lib/ids.js";
+import {
+  parseListQuery,
+  paginate,
+  linkHeader,
+  queryList,
+  repeatedParam,
+  sortJokes,
+} from "./lib/listing.js";
+import { createRandom, sample } from "./lib/random.js";
+import { createSearchIndex } from "./lib/search.js";
+import {
+  categoryInputSchema,
+  categoryMergeSchema,
+  categorySchema,
+  jokeInputSchema,
+  jokePatchSchema,
+  moderationInputSchema,
+  submissionSchema,
+  jokeSchema,
+  rejectInvalid,
+  validate,
+  validationErrorSchema,
+  problemSchema,
+  withEnum,
+  apiKeySchema,
+  apiKeyInputSchema,
+  revisionSchema,
+  revisionDiffSchema,
+  auditEntrySchema,
+  importReportSchema,
+  similarJokeSchema,
+  translationInputSchema,
+  translationSchema,
+  voteInputSchema,
+  voteResultSchema,
+  voteTallySchema,
+  webhookDeliverySchema,
+  webhookInputSchema,
+  webhookSchema,
+  duplicateClusterSchema,
+} from "./lib/schema.js";
+import { createCategories } from "./lib/categories.js";
+import { createCategoriesRouter } from "./routes/categories.js";
+import { createApiKeys } from "./lib/apiKeys.js";
+import { clientOf, createAuth } from "./lib/auth.js";
+import { createApiKeysRouter } from "./routes/apiKeys.js";
+import { createTrash, withoutDeleted } from "./lib/trash.js";
+import { createTrashRouter } from "./routes/trash.js";
+import { createRevisions } from "./lib/revisions.js";
+import { createRevisionsRouter } from "./routes/revisions.js";
+import { actorOf, auditWrites, createAuditLog } from "./lib/audit.js";
+import { createAuditRouter } from "./routes/audit.js";
+import { createRateLimiter } from "./lib/rateLimit.js";
+import {
+  FORMATS,
+  exportChunks,
+  formatOf,
+  parseImport,
+  planImport,
+} from "./lib/importExport.js";
+import { Readable } from "stream";
+import { createDuplicateIndex, normalizeText } from "./lib/dedup.js";
+import {
+  JOKE_FORMATS,
+  backfillTwoPart,
+  jokeFormat,
+  textFields,
+  withTextFields,
+} from "./lib/jokeFormat.js";
+import {
+  backfillFlags,
+  parseFlagFilter,
+  passesFlagFilter,
+  resolveFlags,
+} from "./lib/contentFlags.js";
+import {
+  DEFAULT_LANG,
+  backfillLangs,
+  createTranslations,
+  localize,
+  normalizeLang,
+  requestedLangs,
+} from "./lib/translations.js";
+import { createTranslationsRouter } from "./routes/translations.js";
+import { createSubmissions } from "./lib/submissions.js";
+import {
+  createChangeFeed,
+  followChanges,
+  parseStreamFilter,
+} from "./lib/changeFeed.js";
+import { createSubmissionsRouter } from "./routes/submissions.js";
+import {
+  RANKING_PERIODS,
+  backfillVotes,
+  createVotes,
+  emptyTally,
+} from "./lib/votes.js";
+import { createWebhooks } from "./lib/webhooks.js";
+import { createWebhooksRouter } from "./routes/webhooks.js";
+import { createGraphQLRouter } from "./routes/graphql.js";
+import {
+  failsIfMatch,
+  jokeTag,
+  jokeWriteTag,
+  setValidators,
+} from "./lib/caching.js";
+import {
+  createDailyJokes,
+  dateFromDayNumber,
+  dayNumber,
+  isValidTimeZone,
+  todayIn,
+} from "./lib/daily.js";
+import {
+  PROBLEMS,
+  problemHandler,
+  problemType,
+  routeNotFound,
+  sendProblem,
+} from "./lib/problems.js";
+import {
+  API_VERSION,
+  UNVERSIONED_DEPRECATED_AT,
+  deprecatedAlias,
+} from "./lib/versioning.js";
+import {
+  isRepresentation,
+  representationOf,
+  sendJokes,
+} from "./lib/representations.js";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 import dotenv from "dotenv";
 dotenv.config();
 
 const app = express();
+// Every API route, served under /v1 and, deprecated, at its bare path.
+const api = express.Router();
 const port = process.env.PORT || 3000;
 const masterKey = process.env.MASTER_KEY;
+app.set("etag", "strong");
+// HTML renderings of jokes come from views/.
+app.set("view engine", "ejs");
 
+// Behind a reverse proxy (e.g. on Render) the client IP is in
+// X-Forwarded-For; TRUST_PROXY tells Express how many hops to trust.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+  );
+}
+
+const store = await createStore({
+  driver: process.env.STORAGE_DRIVER,
+  path: process.env.STORAGE_PATH,
+  seed: seedJokes,
+});
+// `allJokes` includes trashed jokes; `jokes` hides them and is what the
+// read routes serve.
+const allJokes = store.collection("jokes");
+const jokes = withoutDeleted(allJokes);
+const jokeIds = createIdAllocator(store, { mode: process.env.JOKE_ID_MODE });
+backfillSlugs(allJokes);
+backfillTwoPart(allJokes);
+backfillFlags(allJokes);
+backfillLangs(allJokes);
+backfillVotes(allJokes);
+
+const translations = createTranslations({ store });
+const votes = createVotes({ store });
+const submissions = createSubmissions({ store });
+
+// Joke changes pushed to /jokes/stream over SSE and WebSocket.
+const changes = createChangeFeed({
+  size: Number(process.env.STREAM_REPLAY_SIZE || 500),
+});
+const heartbeatMs = Number(process.env.STREAM_HEARTBEAT_SECONDS || 15) * 1000;
+
+// Every joke change is also delivered to the webhooks subscribed to it,
+// except the ones from clearing the catalogue: that is a single
+// `catalogue.cleared` event rather than one `joke.deleted` per joke.
+const webhooks = createWebhooks({
+  store,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 1) * 1000,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 5) * 1000,
+});
+webhooks.resume();
+changes.subscribe((change, { bulk }) => {
+  if (!bulk) {
+    webhooks.dispatch(`joke.${change.event}`, change.joke);
+  }
+});
+
+// Id of the last event a reconnecting stream client saw, if it sent one.
+const lastEventIdOf = (value) =>
+  value === undefined || value === "" ? undefined : Number(value);
+
+const streamResetMessage = {
+  message: "Missed changes are no longer available; reload the jokes",
+};
+
+const trash = createTrash({
+  jokes: allJokes,
+  retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+  onPurge: (ids) => {
+    translations.removeForJokes(ids);
+    votes.removeForJokes(ids);
+  },
+});
+trash.purgeExpired();
+setInterval(() => trash.purgeExpired(), 60 * 60 * 1000).unref();
+
+const searchIndex = createSearchIndex();
+jokes.all().forEach(searchIndex.add);
+
+// New or edited jokes too similar to an existing one are refused with 409
+// (DUPLICATE_POLICY=reject) or stored with `possibleDuplicateOf` (flag).
+const duplicates = createDuplicateIndex({
+  jokes,
+  threshold: Number(process.env.DUPLICATE_THRESHOLD || 0.8),
+});
+const duplicatePolicy = process.env.DUPLICATE_POLICY || "reject";
+if (duplicatePolicy !== "reject" && duplicatePolicy !== "flag") {
+  throw new Error(`Unknown duplicate policy "${duplicatePolicy}"`);
+}
+
+const categories = createCategories({ store, jokes: allJokes });
+const apiKeys = createApiKeys({ store });
+const { authenticate, requireScope } = createAuth({ apiKeys, masterKey });
+
+const revisions = createRevisions({ store });
+revisions.backfill(allJokes.all());
+const auditLog = createAuditLog({
+  store,
+  maxEntries: Number(process.env.AUDIT_LOG_SIZE || 10000),
+});
+
+// Joke input schema restricted to the categories that currently exist.
+const jokeSchemaForCategories = () =>
+  withEnum(jokeInputSchema, "type", categories.names());
+
+const dailyJokes = createDailyJokes({
+  jokes,
+  picks: store.collection("dailyPicks"),
+  window: Number(process.env.DAILY_REPEAT_WINDOW || 30),
+});
+
+// 412 for a write whose If-Match no longer matches the stored joke, so
+// concurrent editors can't overwrite each other's changes unknowingly.
+const rejectStale = (res) => sendProblem(res, "precondition_failed");
+
+// Serve jokes in the first of `langs` they are available in, falling back
+// to each joke's original language.
+const localizer = (langs) => {
+  const byJoke = langs.length > 0 ? translations.byJoke() : new Map();
+  return (joke) => localize(joke, byJoke.get(String(joke.id)) || [], langs);
+};
+
+// The same for the languages the client asked for with `?lang=` or
+// `Accept-Language`.
+const negotiateLang = (req, res) => {
+  res.vary("Accept-Language");
+  return localizer(requestedLangs(req));
+};
+
+// A joke's language may not be one it already has a translation into.
+const langTaken = (joke, lang) =>
+  lang !== joke.lang && translations.get(joke.id, lang) !== undefined;
+
+const rejectLangTaken = (res, lang) =>
+  sendProblem(
+    res,
+    "translation_exists",
+    `The joke already has a "${lang}" translation; delete it first`
+  );
+
+// Validate the `format` filter of the read routes (`single` or `twopart`).
+const invalidFormat = (format) =>
+  format !== undefined && !JOKE_FORMATS.includes(format);
+
+const rejectFormat = (res) =>
+  sendProblem(res, "invalid_parameter", "format must be single or twopart");
+
+// On the routes that can answer in other representations, `format` either
+// filters by joke format or names the representation (`json`, `text`,
+// `xml`, `yaml` or `html`); the Accept header picks the representation
+// when it doesn't. `representation` is undefined when the client accepts
+// none of them.
+const parseFormat = (req) => {
+  const requested = req.query.format;
+  const format = isRepresentation(requested) ? undefined : requested;
+  if (invalidFormat(format)) {
+    return {
+      error: "format must be single, twopart, json, text, xml, yaml or html",
+    };
+  }
+  return { format, representation: representationOf(req, requested) };
+};
+
+const rejectNotAcceptable = (res) => {
+  res.vary("Accept");
+  return sendProblem(
+    res,
+    "not_acceptable",
+    "Jokes are available as JSON, plain text, XML, YAML or HTML"
+  );
+};
+
+// Similar jokes to check `text` against, or none when a write keeps the
+// joke's current text (the seed catalogue has duplicates of its own).
+const similarJokes = (text, existingJoke) =>
+  existingJoke && normalizeText(existingJoke.jokeText) === normalizeText(text)
+    ? []
+    : duplicates.similarTo(text, { excludeId: existingJoke?.id });
+
+const rejectDuplicate = (res, similar) =>
+  sendProblem(res, "duplicate_joke", undefined, { duplicates: similar });
+
+// Set or clear the duplicate flag on a joke about to be stored.
+const withDuplicateFlag = ({ possibleDuplicateOf, ...joke }, similar) =>
+  similar.length > 0
+    ? { ...joke, possibleDuplicateOf: similar.map(({ id }) => id) }
+    : joke;
+
+// Store a new joke built from validated input, for POST /jokes and
+// approved submissions. Returns `{ joke }`, or `{ duplicates }` when
+// DUPLICATE_POLICY=reject refuses it.
+const publishJoke = ({ fields, type, flags, lang }, actor) => {
+  const similar = similarJokes(fields.jokeText);
+  if (similar.length > 0 && duplicatePolicy === "reject") {
+    return { duplicates: similar };
+  }
+  const newJoke = withDuplicateFlag(
+    {
+      id: jokeIds.next(),
+      slug: uniqueSlug(fields.jokeText, allJokes),
+      ...fields,
+      jokeType: type,
+      flags: resolveFlags({ requested: flags, text: fields.jokeText }),
+      lang: lang ? normalizeLang(lang) : DEFAULT_LANG,
+      votes: emptyTally(),
+      createdAt: new Date().toISOString(),
+    },
+    similar
+  );
+  jokes.insert(newJoke);
+  searchIndex.add(newJoke);
+  revisions.record(newJoke, actor);
+  changes.publish("created", newJoke);
+  return { joke: newJoke };
+};
+
+// Store a new version of an existing joke built from validated input, for
+// PUT (every field replaced) and PATCH (`partial`). Returns `{ joke }`, or
+// `{ errors }` for text fields that don't fit together, `{ takenLang }`
+// when the joke already has a translation into its new language, or
+// `{ duplicates }` when DUPLICATE_POLICY=reject refuses the new text.
+const reviseJoke = (existingJoke, value, { partial }, actor) => {
+  const { fields, errors } = textFields(
+    value,
+    partial ? existingJoke : undefined
+  );
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const lang = value.lang ? normalizeLang(value.lang) : existingJoke.lang;
+  if (langTaken(existingJoke, lang)) {
+    return { takenLang: lang };
+  }
+  let updatedJoke = {
+    ...withTextFields(existingJoke, fields),
+    jokeType: value.type ?? existingJoke.jokeType,
+    flags: resolveFlags({
+      requested: value.flags,
+      text: fields.jokeText,
+      existing: existingJoke,
+    }),
+    lang,
+    updatedAt: new Date().toISOString(),
+  };
+  // A PATCH that leaves the text alone keeps the duplicate flag as it is.
+  if (!partial || fields.jokeText !== existingJoke.jokeText) {
+    const similar = similarJokes(fields.jokeText, existingJoke);
+    if (similar.length > 0 && duplicatePolicy === "reject") {
+      return { duplicates: similar };
+    }
+    updatedJoke = withDuplicateFlag(updatedJoke, similar);
+  }
+  jokes.update(existingJoke.id, updatedJoke);
+  searchIndex.add(updatedJoke);
+  revisions.record(updatedJoke, actor);
+  changes.publish("updated", updatedJoke);
+  return { joke: updatedJoke };
+};
+
+// Move a joke to the trash. Returns the trashed joke.
+const trashJoke = (existingJoke) => {
+  const trashedJoke = trash.trash(existingJoke);
+  searchIndex.remove(existingJoke.id);
+  changes.publish("deleted", trashedJoke);
+  return trashedJoke;
+};
+
+// Look a joke up by its id or by its slug.
+const findJoke = (idOrSlug) =>
+  jokes.get(idOrSlug) || jokes.all().find((joke) => joke.slug === idOrSlug);
+
+// Imports are read as raw text (JSON, NDJSON or CSV) and parsed row by row,
+// with a higher size limit than ordinary request bodies.
+app.use(
+  ["/jokes/import", `/${API_VERSION}/jokes/import`],
+  bodyParser.text({
+    type: [...Object.values(FORMATS).map((f) => f.contentType), "text/plain"],
+    limit: "5mb",
+  })
+);
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.json());
+app.use(authenticate);
+const rateLimiter = createRateLimiter({
+  read: Number(process.env.RATE_LIMIT_READ ?? 120),
+  write: Number(process.env.RATE_LIMIT_WRITE ?? 30),
+});
+app.use(rateLimiter.limit);
+app.use(auditWrites(auditLog));
 
 const renderUrl = process.env.RENDER_EXTERNAL_URL;
 const localUrl = `http://localhost:${port}`;
@@ -25,11 +448,54 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: renderUrl || localUrl,
+        url: `${renderUrl || localUrl}/${API_VERSION}`,
       },
     ],
+    components: {
+      schemas: {
+        Joke: jokeSchema,
+        JokeInput: jokeInputSchema,
+        JokePatch: jokePatchSchema,
+        Submission: submissionSchema,
+        ModerationInput: moderationInputSchema,
+        Problem: problemSchema,
+        ValidationError: validationErrorSchema,
+        Category: categorySchema,
+        CategoryInput: categoryInputSchema,
+        CategoryMerge: categoryMergeSchema,
+        ApiKey: apiKeySchema,
+        ApiKeyInput: apiKeyInputSchema,
+        Revision: revisionSchema,
+        RevisionDiff: revisionDiffSchema,
+        AuditEntry: auditEntrySchema,
+        ImportReport: importReportSchema,
+        SimilarJoke: similarJokeSchema,
+        Translation: translationSchema,
+        TranslationInput: translationInputSchema,
+        VoteTally: voteTallySchema,
+        VoteInput: voteInputSchema,
+        VoteResult: voteResultSchema,
+        Webhook: webhookSchema,
+        WebhookInput: webhookInputSchema,
+        WebhookDelivery: webhookDeliverySchema,
+        DuplicateCluster: duplicateClusterSchema,
+      },
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "API key as a bearer token. The deprecated `?key=` query parameter only takes the master key.",
+        },
+      },
+    },
   },
-  apis: ["./app.js"],
+  apis: ["./app.js", "./routes/*.js"],
 };
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
@@ -48,16 +514,320 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *     tags:
  *       - Jokes
  *     summary: Get a random joke
+ *     description: |
+ *       Picks a random joke, optionally narrowed down by type, excluded ids
+ *       and maximum length. With `count` an array of distinct jokes is
+ *       returned instead of a single joke. The same `seed` with the same
+ *       filters always returns the same jokes.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: One or more joke types (comma-separated or repeated)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [single, twopart, json, text, xml, yaml, html]
+ *         description: |
+ *           Only single-line or only two-part (setup/delivery) jokes, or the
+ *           representation to answer with instead of the one `Accept` asks
+ *           for. To do both, filter here and send `Accept`.
+ *       - in: query
+ *         name: safe
+ *         schema:
+ *           type: boolean
+ *         description: Leave out every joke with a content flag
+ *       - in: query
+ *         name: blacklistFlags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nsfw, religious, political, explicit]
+ *         style: form
+ *         explode: false
+ *         description: Leave out jokes with any of these content flags
+ *       - in: query
+ *         name: exclude
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Ids of jokes that must not be picked
+ *       - in: query
+ *         name: maxLength
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum length of the joke text in characters
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Number of distinct jokes to return
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: string
+ *         description: Seed for reproducible picks
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
  *     responses:
  *       200:
- *         description: A random joke
+ *         description: A random joke, or an array of jokes when `count` is set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Joke'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid `count`, `maxLength` or `format`
+ *       404:
+ *         description: No jokes match the filters
+ *       406:
+ *         description: None of the representations is acceptable
  */
 
 //1. GET a random joke
-app.get("/jokes/random", (req, res) => {
-  const randomIndex = Math.floor(Math.random() * jokes.length);
-  const randomJoke = jokes[randomIndex];
-  res.json(randomJoke);
+api.get("/jokes/random", (req, res) => {
+  const types = queryList(req.query.type).map((type) => type.toLowerCase());
+  const excluded = new Set(queryList(req.query.exclude));
+  const { format, representation, error: formatError } = parseFormat(req);
+  if (formatError) {
+    return sendProblem(res, "invalid_parameter", formatError);
+  }
+  if (!representation) {
+    return rejectNotAcceptable(res);
+  }
+  const { excluded: excludedFlags, error } = parseFlagFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+
+  let count;
+  if (req.query.count !== undefined) {
+    count = Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "count must be an integer between 1 and 50"
+      );
+    }
+  }
+  let maxLength;
+  if (req.query.maxLength !== undefined) {
+    maxLength = Number(req.query.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "maxLength must be a positive integer"
+      );
+    }
+  }
+
+  // Sort by id so a seed picks the same jokes whatever the storage order.
+  const candidates = sortJokes(
+    jokes
+      .all()
+      .filter(
+        (joke) =>
+          (types.length === 0 || types.includes(joke.jokeType.toLowerCase())) &&
+          !excluded.has(String(joke.id)) &&
+          (!maxLength || joke.jokeText.length <= maxLength) &&
+          (!format || jokeFormat(joke) === format) &&
+          passesFlagFilter(joke, excludedFlags)
+      )
+  );
+  if (candidates.length === 0) {
+    return sendProblem(res, "no_matching_jokes");
+  }
+
+  const random = createRandom(req.query.seed);
+  const inLang = negotiateLang(req, res);
+  if (count === undefined) {
+    const joke = inLang(sample(candidates, 1, random)[0]);
+    res.set("Content-Language", joke.lang);
+    sendJokes(res, representation, joke, { title: "A random joke" });
+  } else {
+    sendJokes(
+      res,
+      representation,
+      sample(candidates, count, random).map(inLang),
+      { title: "Random jokes" }
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /jokes/search:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Search jokes by text
+ *     description: |
+ *       Ranked full-text search over the joke text. Words are stemmed
+ *       ("atoms" matches "atom"), small typos are tolerated and the last
+ *       word also matches as a prefix. Each result carries a relevance
+ *       `score` and an HTML-escaped `snippet` with matches wrapped in
+ *       `<mark>` tags.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search terms
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only search jokes of this type
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [single, twopart]
+ *         description: Only single-line or only two-part (setup/delivery) jokes
+ *       - in: query
+ *         name: safe
+ *         schema:
+ *           type: boolean
+ *         description: Leave out every joke with a content flag
+ *       - in: query
+ *         name: blacklistFlags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nsfw, religious, political, explicit]
+ *         style: form
+ *         explode: false
+ *         description: Leave out jokes with any of these content flags
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
+ *     responses:
+ *       200:
+ *         description: Matching jokes, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Joke'
+ *                   - type: object
+ *                     properties:
+ *                       score:
+ *                         type: number
+ *                       snippet:
+ *                         type: string
+ *       400:
+ *         description: Missing search query or invalid limit
+ */
+
+//9. GET jokes matching a search query
+api.get("/jokes/search", (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!query) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "Please provide a search query"
+    );
+  }
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "limit must be an integer between 1 and 50"
+    );
+  }
+  if (repeatedParam(req.query, ["type"])) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "type must be given only once"
+    );
+  }
+  const jokeType = req.query.type;
+  const format = req.query.format;
+  if (invalidFormat(format)) {
+    return rejectFormat(res);
+  }
+  const { excluded, error } = parseFlagFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+  const results = searchIndex.search(query, {
+    limit,
+    filter: (joke) =>
+      (!jokeType || joke.jokeType.toLowerCase() === jokeType.toLowerCase()) &&
+      (!format || jokeFormat(joke) === format) &&
+      passesFlagFilter(joke, excluded),
+  });
+  const inLang = negotiateLang(req, res);
+  res.json(
+    results.map(({ joke, score, snippet }) => ({
+      ...inLang(joke),
+      score,
+      snippet,
+    }))
+  );
 });
 
 /**
@@ -66,6 +836,771 @@ app.get("/jokes/random", (req, res) => {
  *   - name: Jokes
  *     description: Joke management endpoints
  */
+/**
+ * @swagger
+ * /jokes/daily:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Get the joke of the day
+ *     description: |
+ *       Everyone gets the same joke for the same calendar day. The day is
+ *       taken in `tz` unless an explicit `date` is given. Jokes do not repeat
+ *       within the window set by `DAILY_REPEAT_WINDOW` (30 days by default).
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Pick the daily joke among jokes of this type only
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA timezone deciding which day it is, e.g. `Europe/Berlin`
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to get the joke for (`YYYY-MM-DD`), defaults to today
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
+ *     responses:
+ *       200:
+ *         description: The joke of the day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 timeZone:
+ *                   type: string
+ *                 joke:
+ *                   $ref: '#/components/schemas/Joke'
+ *       400:
+ *         description: Invalid timezone or date, or repeated `type`
+ *       404:
+ *         description: No jokes found for this type
+ */
+
+//10. GET the joke of the day
+api.get("/jokes/daily", (req, res) => {
+  if (repeatedParam(req.query, ["type"])) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "type must be given only once"
+    );
+  }
+  const timeZone = req.query.tz || "UTC";
+  if (!isValidTimeZone(timeZone)) {
+    return sendProblem(res, "invalid_parameter", "Unknown timezone");
+  }
+  const today = todayIn(timeZone);
+  const date = req.query.date || today;
+  if (dayNumber(date) === undefined) {
+    return sendProblem(res, "invalid_parameter", "date must be YYYY-MM-DD");
+  }
+  const joke = dailyJokes.forDate(date, {
+    type: req.query.type,
+    record: date === today,
+  });
+  if (!joke) {
+    return sendProblem(
+      res,
+      "no_matching_jokes",
+      "No jokes found for this type"
+    );
+  }
+  const localized = negotiateLang(req, res)(joke);
+  res.set("Content-Language", localized.lang);
+  res.json({ date, timeZone, joke: localized });
+});
+
+/**
+ * @swagger
+ * /jokes/daily/schedule:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Preview the jokes of the day for a range of days
+ *     description: |
+ *       Lists the joke of the day for `days` consecutive days starting at
+ *       `from`, which may lie in the past or the future. Days that have not
+ *       started yet are a preview and can still change if jokes are added or
+ *       removed before then.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only consider jokes of this type
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA timezone deciding which day it is
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range (`YYYY-MM-DD`), defaults to today
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           default: 7
+ *         description: Number of days to list
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
+ *     responses:
+ *       200:
+ *         description: One entry per day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *                   joke:
+ *                     $ref: '#/components/schemas/Joke'
+ *       400:
+ *         description: Invalid timezone, date or number of days, or repeated `type`
+ *       404:
+ *         description: No jokes found for this type
+ */
+
+//11. GET the jokes of the day for a range of days
+api.get("/jokes/daily/schedule", (req, res) => {
+  if (repeatedParam(req.query, ["type"])) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "type must be given only once"
+    );
+  }
+  const timeZone = req.query.tz || "UTC";
+  if (!isValidTimeZone(timeZone)) {
+    return sendProblem(res, "invalid_parameter", "Unknown timezone");
+  }
+  const today = todayIn(timeZone);
+  const from = dayNumber(req.query.from || today);
+  if (from === undefined) {
+    return sendProblem(res, "invalid_parameter", "from must be YYYY-MM-DD");
+  }
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 31) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "days must be an integer between 1 and 31"
+    );
+  }
+
+  const inLang = negotiateLang(req, res);
+  const schedule = [];
+  for (let day = from; day < from + days; day++) {
+    const date = dateFromDayNumber(day);
+    const joke = dailyJokes.forDate(date, {
+      type: req.query.type,
+      record: date === today,
+    });
+    if (!joke) {
+      return sendProblem(
+        res,
+        "no_matching_jokes",
+        "No jokes found for this type"
+      );
+    }
+    schedule.push({ date, joke: inLang(joke) });
+  }
+  res.json(schedule);
+});
+
+/**
+ * @swagger
+ * /jokes/export:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Export the joke catalogue
+ *     description: |
+ *       Streams every joke (trashed ones excluded) as a JSON array, NDJSON
+ *       or CSV. The format comes from `format`, or else from the `Accept`
+ *       header; JSON is the default. Exports can be fed back to
+ *       `POST /jokes/import` as they are.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *         description: Export format
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only export jokes of this type
+ *     responses:
+ *       200:
+ *         description: The catalogue, sorted by id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Joke'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: "`type` given more than once"
+ *       406:
+ *         description: Unsupported export format
+ */
+
+//13. GET the whole catalogue as a JSON, NDJSON or CSV download
+api.get("/jokes/export", (req, res) => {
+  const format = formatOf(
+    req.query.format,
+    req.accepts(Object.values(FORMATS).map((f) => f.contentType)) || ""
+  );
+  if (!format) {
+    return sendProblem(
+      res,
+      "not_acceptable",
+      "Export format must be json, ndjson or csv"
+    );
+  }
+  if (repeatedParam(req.query, ["type"])) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "type must be given only once"
+    );
+  }
+  const jokeType = req.query.type;
+  const exported = sortJokes(
+    jokes
+      .all()
+      .filter(
+        (joke) =>
+          !jokeType || joke.jokeType.toLowerCase() === jokeType.toLowerCase()
+      )
+  );
+  res.set({
+    "Content-Type": `${FORMATS[format].contentType}; charset=utf-8`,
+    "Content-Disposition": `attachment; filename="jokes.${format}"`,
+  });
+  Readable.from(exportChunks(exported, format)).pipe(res);
+});
+
+/**
+ * @swagger
+ * /jokes/import:
+ *   post:
+ *     tags:
+ *       - Jokes
+ *     summary: Import jokes in bulk
+ *     description: |
+ *       Accepts a JSON array, NDJSON (one joke per line) or CSV with a
+ *       header row; the format comes from `format`, or else from the
+ *       `Content-Type`. Each joke has `text` and `type` (or `jokeText` and
+ *       `jokeType`, as exported) and optionally an `id`.
+ *
+ *       A joke whose `id` already exists replaces that joke's text and
+ *       type; every other joke is created, keeping its `id` if it has one.
+ *       Jokes whose text is already in the catalogue, or earlier in the
+ *       same import, are reported as duplicates and skipped. Invalid rows
+ *       are reported with their errors and the rest are still imported.
+ *       With `dryRun=true` nothing is written and the report shows what
+ *       would happen.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *         description: Body format, if the Content-Type doesn't say
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report what the import would do
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/JokeInput'
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: The body could not be parsed at all
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: API key lacks the write scope
+ *       413:
+ *         description: Body larger than 5 MB
+ *       415:
+ *         description: Unsupported import format
+ */
+
+//14. POST a batch of jokes to import
+api.post("/jokes/import", requireScope("write"), (req, res) => {
+  const format = formatOf(req.query.format, req.get("content-type"));
+  if (!format) {
+    return sendProblem(
+      res,
+      "unsupported_media_type",
+      "Import format must be json, ndjson or csv"
+    );
+  }
+  const dryRun = ["true", "1"].includes(String(req.query.dryRun));
+  const { rows, error } = parseImport(
+    typeof req.body === "string" ? req.body : "",
+    format
+  );
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+
+  const now = new Date().toISOString();
+  const plan = planImport(rows, {
+    jokes: allJokes,
+    schema: jokeSchemaForCategories(),
+    duplicates,
+    translations,
+    jokeIds,
+  });
+  const results = plan.map(({ joke, ...result }) => {
+    if (dryRun || !joke) {
+      return result;
+    }
+    if (result.action === "create") {
+      const newJoke = {
+        id: result.id ?? jokeIds.next(),
+        slug: uniqueSlug(joke.jokeText, allJokes),
+        ...joke,
+        votes: emptyTally(),
+        createdAt: now,
+      };
+      jokes.insert(newJoke);
+      searchIndex.add(newJoke);
+      revisions.record(newJoke, actorOf(req));
+      changes.publish("created", newJoke);
+      return { ...result, id: newJoke.id };
+    }
+    const updatedJoke = {
+      ...withTextFields(jokes.get(result.id), joke),
+      updatedAt: now,
+    };
+    jokes.update(updatedJoke.id, updatedJoke);
+    searchIndex.add(updatedJoke);
+    revisions.record(updatedJoke, actorOf(req));
+    changes.publish("updated", updatedJoke);
+    return result;
+  });
+
+  const summary = Object.fromEntries(
+    ["create", "update", "unchanged", "duplicate", "invalid"].map((action) => [
+      action,
+      results.filter((result) => result.action === action).length,
+    ])
+  );
+  if (!dryRun) {
+    res.locals.audit = {
+      target: { type: "catalogue" },
+      before: null,
+      after: { format, summary },
+    };
+  }
+  res.json({ dryRun, format, summary, results });
+});
+
+/**
+ * @swagger
+ * /jokes/duplicates:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Find clusters of duplicate jokes
+ *     description: |
+ *       Groups jokes whose normalized texts are at least `threshold`
+ *       similar (Jaccard similarity of character shingles, found through
+ *       MinHash). Useful for cleaning up the catalogue: each cluster lists
+ *       its jokes oldest first.
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0.5
+ *           maximum: 1
+ *         description: Minimum similarity, DUPLICATE_THRESHOLD (0.8) by default
+ *     responses:
+ *       200:
+ *         description: Duplicate clusters, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DuplicateCluster'
+ *       400:
+ *         description: Invalid threshold
+ */
+
+//15. GET clusters of duplicate jokes
+api.get("/jokes/duplicates", (req, res) => {
+  const threshold =
+    req.query.threshold === undefined
+      ? duplicates.threshold
+      : Number(req.query.threshold);
+  if (!(threshold >= 0.5 && threshold <= 1)) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "threshold must be a number between 0.5 and 1"
+    );
+  }
+  const clusters = duplicates
+    .clusters({ minSimilarity: threshold })
+    .map(({ similarity, ids }) => ({
+      similarity,
+      jokes: sortJokes(ids.map((id) => jokes.get(id))),
+    }))
+    .sort(
+      (a, b) =>
+        b.jokes.length - a.jokes.length ||
+        String(a.jokes[0].id).localeCompare(String(b.jokes[0].id), undefined, {
+          numeric: true,
+        })
+    );
+  res.json(clusters);
+});
+
+/**
+ * @swagger
+ * /jokes/top:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Get the best-rated jokes of a period
+ *     description: |
+ *       Ranks jokes by the votes cast on them within `period` ("best of
+ *       the week" by default). Recent votes weigh more: a vote counts half
+ *       as much for every half period since it was cast. The weighted
+ *       up- and downvotes are scored with the lower bound of the Wilson
+ *       score interval, so a few enthusiastic votes don't beat many
+ *       consistent ones. Jokes without votes in the period are left out.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only jokes of this type
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year, all]
+ *           default: week
+ *         description: Which votes count; `all` counts every vote, unweighted
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of jokes
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [single, twopart]
+ *         description: Only single-line or only two-part (setup/delivery) jokes
+ *       - in: query
+ *         name: safe
+ *         schema:
+ *           type: boolean
+ *         description: Leave out every joke with a content flag
+ *       - in: query
+ *         name: blacklistFlags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nsfw, religious, political, explicit]
+ *         style: form
+ *         explode: false
+ *         description: Leave out jokes with any of these content flags
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
+ *     responses:
+ *       200:
+ *         description: Jokes, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Joke'
+ *                   - type: object
+ *                     properties:
+ *                       ranking:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                           up:
+ *                             type: integer
+ *                             description: Upvotes within the period
+ *                           down:
+ *                             type: integer
+ *                             description: Downvotes within the period
+ *                           rank:
+ *                             type: number
+ *                             description: Time-decayed Wilson score, 0-1
+ *       400:
+ *         description: Invalid or repeated period, limit, type, format or flag filter
+ *       404:
+ *         description: No jokes of this type
+ */
+
+//16. GET the best-rated jokes of a period
+api.get("/jokes/top", (req, res) => {
+  const repeated = repeatedParam(req.query, ["period", "type"]);
+  if (repeated) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      `${repeated} must be given only once`
+    );
+  }
+  const period = req.query.period ?? "week";
+  if (!Object.hasOwn(RANKING_PERIODS, period)) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      `period must be one of ${Object.keys(RANKING_PERIODS).join(", ")}`
+    );
+  }
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "limit must be an integer between 1 and 50"
+    );
+  }
+  const jokeType = req.query.type;
+  const format = req.query.format;
+  if (invalidFormat(format)) {
+    return rejectFormat(res);
+  }
+  const { excluded, error } = parseFlagFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+  const candidates = jokes
+    .all()
+    .filter(
+      (joke) =>
+        (!jokeType || joke.jokeType.toLowerCase() === jokeType.toLowerCase()) &&
+        (!format || jokeFormat(joke) === format) &&
+        passesFlagFilter(joke, excluded)
+    );
+  if (jokeType && candidates.length === 0) {
+    return sendProblem(
+      res,
+      "no_matching_jokes",
+      "No jokes found for this type"
+    );
+  }
+  const inLang = negotiateLang(req, res);
+  res.json(
+    votes
+      .ranking(candidates, { period })
+      .slice(0, limit)
+      .map(({ joke, up, down, rank }) => ({
+        ...inLang(joke),
+        ranking: { period, up, down, rank },
+      }))
+  );
+});
+
+/**
+ * @swagger
+ * /jokes/stream:
+ *   get:
+ *     tags:
+ *       - Jokes
+ *     summary: Follow joke changes as Server-Sent Events
+ *     description: |
+ *       Streams a `created`, `updated` or `deleted` event for every change
+ *       to a joke, with the change as JSON in `data`. A comment line is
+ *       sent every STREAM_HEARTBEAT_SECONDS (15) to keep proxies from
+ *       closing the connection. Clients that reconnect with the id of the
+ *       last event they saw (`Last-Event-ID`, as `EventSource` does) first
+ *       get the changes they missed; if those have left the replay buffer
+ *       (STREAM_REPLAY_SIZE, 500 events) they get a `reset` event and
+ *       should reload instead.
+ *
+ *       The same feed is served over WebSocket: open a WebSocket
+ *       connection to this path, with the same query parameters. Each
+ *       message is one change as JSON.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Only changes to jokes of these types
+ *       - in: query
+ *         name: events
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [created, updated, deleted]
+ *         style: form
+ *         explode: false
+ *         description: Only these kinds of change
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event, for clients that can't send `Last-Event-ID`
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event
+ *     responses:
+ *       200:
+ *         description: An endless stream of change events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown event filter
+ */
+
+//18. GET a live stream of joke changes (SSE)
+api.get("/jokes/stream", (req, res) => {
+  const { matches, error } = parseStreamFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  const stop = followChanges(changes, {
+    matches,
+    lastEventId: lastEventIdOf(
+      req.get("last-event-id") ?? req.query.lastEventId
+    ),
+    send: (change) =>
+      res.write(
+        `id: ${change.id}\nevent: ${change.event}\ndata: ${JSON.stringify(
+          change
+        )}\n\n`
+      ),
+    reset: () =>
+      res.write(
+        `event: reset\ndata: ${JSON.stringify(streamResetMessage)}\n\n`
+      ),
+  });
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    heartbeatMs
+  );
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    stop();
+  });
+});
+
 /**
  * @swagger
  * /jokes/{id}:
@@ -78,34 +1613,127 @@ app.get("/jokes/random", (req, res) => {
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: The ID of the joke to retrieve
+ *           type: string
+ *         description: The ID or slug of the joke to retrieve
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text, xml, yaml, html]
+ *         description: Representation to answer with instead of the one `Accept` asks for
+ *       - in: query
+ *         name: safe
+ *         schema:
+ *           type: boolean
+ *         description: Leave out every joke with a content flag
+ *       - in: query
+ *         name: blacklistFlags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nsfw, religious, political, explicit]
+ *         style: form
+ *         explode: false
+ *         description: Leave out jokes with any of these content flags
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of a cached copy; answered with 304 if it is current
+ *       - in: header
+ *         name: If-Modified-Since
+ *         schema:
+ *           type: string
+ *         description: Date of a cached copy; answered with 304 if unchanged since
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
  *     responses:
  *       200:
  *         description: A joke object
+ *         headers:
+ *           ETag:
+ *             description: Strong entity tag, usable in `If-Match` on writes
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             description: When anything in the store last changed (or the server restarted)
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 jokeText:
- *                   type: string
- *                 jokeType:
- *                   type: string
+ *               $ref: '#/components/schemas/Joke'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The cached copy is still current
+ *       400:
+ *         description: Unknown content flag or format
  *       404:
- *         description: Joke not found
+ *         description: Joke not found, or hidden by `safe` / `blacklistFlags`
+ *       406:
+ *         description: None of the representations is acceptable
  */
 
 //2. GET a specific joke by ID
-app.get("/jokes/:id", (req, res) => {
-  const jokeId = parseInt(req.params.id);
-  const joke = jokes.find((joke) => joke.id === jokeId);
+api.get("/jokes/:id", (req, res) => {
+  const { excluded, error } = parseFlagFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+  // A single joke has nothing to filter by joke format, so `format` can
+  // only name a representation here.
+  const { format, representation, error: formatError } = parseFormat(req);
+  if (formatError || format) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "format must be json, text, xml, yaml or html"
+    );
+  }
+  if (!representation) {
+    return rejectNotAcceptable(res);
+  }
+  const joke = findJoke(req.params.id);
+  if (joke && !passesFlagFilter(joke, excluded)) {
+    return sendProblem(res, "joke_hidden");
+  }
   if (joke) {
-    res.json(joke);
+    const localized = negotiateLang(req, res)(joke);
+    setValidators(res, {
+      etag: jokeTag(joke, representation, localized),
+      modified: store.lastChangedAt(),
+    });
+    res.set("Content-Language", localized.lang);
+    sendJokes(res, representation, localized, {
+      title: `A${/^[aeiou]/i.test(localized.jokeType) ? "n" : ""} ${
+        localized.jokeType
+      } joke`,
+    });
   } else {
-    res.status(404).json({ message: "Joke not found" });
+    sendProblem(res, "joke_not_found");
   }
 });
 
@@ -121,60 +1749,186 @@ app.get("/jokes/:id", (req, res) => {
  *   get:
  *     tags:
  *       - Jokes
- *     summary: Get jokes filtered by type
+ *     summary: List jokes, optionally filtered by type
  *     description: |
- *       You can filter jokes by the following types:
- *       - Science
- *       - Puns
- *       - Wordplay
- *       - Math
- *       - Food
- *       - Sports
- *       - Movies
+ *       Returns the whole catalogue unless `page`, `limit` or `cursor` is
+ *       given. Paginated responses carry a `Link` header (`first`, `prev`,
+ *       `next`, `last`) and every response an `X-Total-Count` header.
+ *
+ *       The available types are listed by `GET /categories`.
  *     parameters:
  *       - in: query
- *         name: type
- *         required: true
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: The type of jokes to filter by
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [single, twopart, json, text, xml, yaml, html]
+ *         description: |
+ *           Only single-line or only two-part (setup/delivery) jokes, or the
+ *           representation to answer with instead of the one `Accept` asks
+ *           for. To do both, filter here and send `Accept`.
+ *       - in: query
+ *         name: safe
+ *         schema:
+ *           type: boolean
+ *         description: Leave out every joke with a content flag
+ *       - in: query
+ *         name: blacklistFlags
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nsfw, religious, political, explicit]
+ *         style: form
+ *         explode: false
+ *         description: Leave out jokes with any of these content flags
+ *       - in: query
+ *         name: sort
  *         schema:
  *           type: string
- *         description: The type of jokes to filter by
+ *           enum: [id, -id, type, -type, length, -length, createdAt, -createdAt]
+ *           default: id
+ *         description: Sort field, prefixed with `-` for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (20 jokes per page unless `limit` is set)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Opaque cursor from a previous `next` link. Pass an empty value
+ *           to start cursor pagination from the first joke.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Preferred languages, comma-separated (e.g. `de-CH,fr`); overrides
+ *           `Accept-Language`. Jokes without a matching translation are served
+ *           in their original language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred languages, used when `lang` is not given
  *     responses:
  *       200:
- *         description: List of jokes filtered by type
+ *         description: List of jokes
+ *         headers:
+ *           X-Total-Count:
+ *             description: Number of jokes matching the filter
+ *             schema:
+ *               type: integer
+ *           Link:
+ *             description: Pagination links (RFC 8288)
+ *             schema:
+ *               type: string
+ *           ETag:
+ *             description: Strong entity tag of this page
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             description: When anything in the store last changed (or the server restarted)
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   jokeText:
- *                     type: string
- *                   jokeType:
- *                     type: string
+ *                 $ref: '#/components/schemas/Joke'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The cached copy (`If-None-Match` / `If-Modified-Since`) is still current
  *       400:
- *         description: Missing joke type query parameter
+ *         description: Invalid or repeated sort, pagination, `type` or `format` parameters
  *       404:
  *         description: No jokes found for this type
+ *       406:
+ *         description: None of the representations is acceptable
  */
 
-//3. GET jokes filtered by type
-app.get("/jokes", (req, res) => {
+//3. GET jokes, optionally filtered by type
+api.get("/jokes", (req, res) => {
+  const options = parseListQuery(req.query);
+  if (options.error) {
+    return sendProblem(res, "invalid_parameter", options.error);
+  }
+  if (repeatedParam(req.query, ["type"])) {
+    return sendProblem(
+      res,
+      "invalid_parameter",
+      "type must be given only once"
+    );
+  }
   const jokeType = req.query.type;
+  const { format, representation, error: formatError } = parseFormat(req);
+  if (formatError) {
+    return sendProblem(res, "invalid_parameter", formatError);
+  }
+  if (!representation) {
+    return rejectNotAcceptable(res);
+  }
+  const { excluded, error } = parseFlagFilter(req.query);
+  if (error) {
+    return sendProblem(res, "invalid_parameter", error);
+  }
+  let filteredJokes = jokes
+    .all()
+    .filter(
+      (joke) =>
+        (!format || jokeFormat(joke) === format) &&
+        passesFlagFilter(joke, excluded)
+    );
   if (jokeType) {
-    const filteredJokes = jokes.filter(
+    filteredJokes = filteredJokes.filter(
       (joke) => joke.jokeType.toLowerCase() === jokeType.toLowerCase()
     );
-    if (filteredJokes && filteredJokes.length > 0) {
-      res.json(filteredJokes);
-    } else {
-      res.status(404).json({ message: "No jokes found for this type" });
+    if (filteredJokes.length === 0) {
+      return sendProblem(
+        res,
+        "no_matching_jokes",
+        "No jokes found for this type"
+      );
     }
-  } else {
-    res.status(400).json({ message: "Please provide a joke type" });
   }
+  const { items, total, links } = paginate(filteredJokes, options);
+  // The ETag is computed by Express from the body; Last-Modified is the
+  // latest write to the store, which covers every way the list can change.
+  setValidators(res, { modified: store.lastChangedAt() });
+  res.set("X-Total-Count", String(total));
+  if (Object.keys(links).length > 0) {
+    res.append("Link", linkHeader(req, links));
+  }
+  sendJokes(res, representation, items.map(negotiateLang(req, res)), {
+    title: jokeType ? `${jokeType} jokes` : "Jokes",
+  });
 });
 
 /**
@@ -190,56 +1944,75 @@ app.get("/jokes", (req, res) => {
  *     tags:
  *       - Jokes
  *     summary: Add a new joke
- *     parameters:
- *       - in: query
- *         name: key
- *         required: true
- *         schema:
- *           type: string
- *         description: Master key for authorization
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JokeInput'
  *         application/x-www-form-urlencoded:
  *           schema:
- *             type: object
- *             properties:
- *               text:
- *                 type: string
- *               type:
- *                 type: string
+ *             $ref: '#/components/schemas/JokeInput'
  *     responses:
  *       201:
  *         description: Joke created successfully
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Joke'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: API key lacks the write scope
+ *       409:
+ *         description: |
+ *           Too similar to an existing joke (only with the default
+ *           DUPLICATE_POLICY=reject)
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                 jokeText:
+ *                 message:
  *                   type: string
- *                 jokeType:
- *                   type: string
- *       403:
- *         description: Forbidden
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SimilarJoke'
+ *       422:
+ *         description: Invalid joke
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 //4. POST a new joke
-app.post("/jokes", (req, res) => {
-  const userKey = req.query.key;
-  const newJoke = {
-    id: jokes.length + 1,
-    jokeText: req.body.text,
-    jokeType: req.body.type,
-  };
-  if (userKey === masterKey) {
-    jokes.push(newJoke);
-    res.status(201).json(newJoke);
-  } else {
-    res.status(403).json({ message: "Forbidden" });
+api.post("/jokes", requireScope("write"), (req, res) => {
+  const { value, errors } = validate(jokeSchemaForCategories(), req.body);
+  if (errors.length > 0) {
+    return rejectInvalid(res, errors);
+  }
+  const { fields, errors: textErrors } = textFields(value);
+  if (textErrors.length > 0) {
+    return rejectInvalid(res, textErrors);
   }
+  const { joke: newJoke, duplicates: similar } = publishJoke(
+    { fields, type: value.type, flags: value.flags, lang: value.lang },
+    actorOf(req)
+  );
+  if (similar) {
+    return rejectDuplicate(res, similar);
+  }
+  res.locals.audit = {
+    target: { type: "joke", id: newJoke.id },
+    before: null,
+    after: newJoke,
+  };
+  res.status(201).json(newJoke);
 });
 
 /**
@@ -255,69 +2028,104 @@ app.post("/jokes", (req, res) => {
  *     tags:
  *       - Jokes
  *     summary: Update a joke by ID
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: The ID of the joke to update
- *       - in: query
- *         name: key
- *         required: true
+ *           type: string
+ *         description: The ID or slug of the joke to update
+ *       - in: header
+ *         name: If-Match
  *         schema:
  *           type: string
- *         description: Master key for authorization
+ *         description: Only apply the change if the joke's current ETag matches
  *     requestBody:
  *       required: true
  *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JokeInput'
  *         application/x-www-form-urlencoded:
  *           schema:
- *             type: object
- *             properties:
- *               text:
- *                 type: string
- *               type:
- *                 type: string
+ *             $ref: '#/components/schemas/JokeInput'
  *     responses:
  *       200:
  *         description: Joke updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 jokeText:
- *                   type: string
- *                 jokeType:
- *                   type: string
+ *               $ref: '#/components/schemas/Joke'
+ *       401:
+ *         description: Missing or invalid API key
  *       403:
- *         description: Forbidden
+ *         description: API key lacks the write scope
  *       404:
  *         description: Joke not found
+ *       409:
+ *         description: |
+ *           Too similar to an existing joke (only with the default
+ *           DUPLICATE_POLICY=reject), or the joke already has a
+ *           translation into the new `lang`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SimilarJoke'
+ *       412:
+ *         description: The joke changed since the ETag in `If-Match` was fetched
+ *       422:
+ *         description: Invalid joke
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 //5. PUT a specific joke by ID
-app.put("/jokes/:id", (req, res) => {
-  const jokeId = parseInt(req.params.id);
-  const userKey = req.query.key;
-  const jokeIndex = jokes.findIndex((joke) => joke.id === jokeId);
-  if (jokeIndex !== -1) {
-    const updatedJoke = {
-      ...jokes[jokeIndex],
-      jokeText: req.body.text,
-      jokeType: req.body.type,
-    };
-    if (userKey === masterKey) {
-      jokes[jokeIndex] = updatedJoke;
-      res.json(jokes[jokeIndex]);
-    } else {
-      res.status(403).json({ message: "Forbidden" });
+api.put("/jokes/:id", requireScope("write"), (req, res) => {
+  const existingJoke = findJoke(req.params.id);
+  if (existingJoke) {
+    if (failsIfMatch(req, jokeWriteTag(existingJoke))) {
+      return rejectStale(res);
+    }
+    const { value, errors } = validate(jokeSchemaForCategories(), req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const {
+      joke: updatedJoke,
+      errors: textErrors,
+      takenLang,
+      duplicates: similar,
+    } = reviseJoke(existingJoke, value, { partial: false }, actorOf(req));
+    if (textErrors) {
+      return rejectInvalid(res, textErrors);
     }
+    if (takenLang) {
+      return rejectLangTaken(res, takenLang);
+    }
+    if (similar) {
+      return rejectDuplicate(res, similar);
+    }
+    res.locals.audit = {
+      target: { type: "joke", id: existingJoke.id },
+      before: existingJoke,
+      after: updatedJoke,
+    };
+    res.set("ETag", jokeTag(updatedJoke));
+    res.json(updatedJoke);
   } else {
-    res.status(404).json({ message: "Joke not found" });
+    sendProblem(res, "joke_not_found");
   }
 });
 
@@ -334,69 +2142,106 @@ app.put("/jokes/:id", (req, res) => {
  *     tags:
  *       - Jokes
  *     summary: Partially update a joke by ID
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: The ID of the joke to update
- *       - in: query
- *         name: key
- *         required: true
+ *           type: string
+ *         description: The ID or slug of the joke to update
+ *       - in: header
+ *         name: If-Match
  *         schema:
  *           type: string
- *         description: Master key for authorization
+ *         description: Only apply the change if the joke's current ETag matches
  *     requestBody:
  *       required: true
  *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JokePatch'
  *         application/x-www-form-urlencoded:
  *           schema:
- *             type: object
- *             properties:
- *               text:
- *                 type: string
- *               type:
- *                 type: string
+ *             $ref: '#/components/schemas/JokePatch'
  *     responses:
  *       200:
  *         description: Joke updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 jokeText:
- *                   type: string
- *                 jokeType:
- *                   type: string
+ *               $ref: '#/components/schemas/Joke'
+ *       401:
+ *         description: Missing or invalid API key
  *       403:
- *         description: Forbidden
+ *         description: API key lacks the write scope
  *       404:
  *         description: Joke not found
+ *       409:
+ *         description: |
+ *           Too similar to an existing joke (only with the default
+ *           DUPLICATE_POLICY=reject), or the joke already has a
+ *           translation into the new `lang`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SimilarJoke'
+ *       412:
+ *         description: The joke changed since the ETag in `If-Match` was fetched
+ *       422:
+ *         description: Invalid joke
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 //6. PATCH a specific joke by ID
-app.patch("/jokes/:id", (req, res) => {
-  const jokeId = parseInt(req.params.id);
-  const userKey = req.query.key;
-  const jokeIndex = jokes.findIndex((joke) => joke.id === jokeId);
-  if (jokeIndex !== -1) {
-    const updatedJoke = {
-      ...jokes[jokeIndex],
-      jokeText: req.body.text || jokes[jokeIndex].jokeText,
-      jokeType: req.body.type || jokes[jokeIndex].jokeType,
-    };
-    if (userKey === masterKey) {
-      jokes[jokeIndex] = updatedJoke;
-      res.json(jokes[jokeIndex]);
-    } else {
-      res.status(403).json({ message: "Forbidden" });
+api.patch("/jokes/:id", requireScope("write"), (req, res) => {
+  const existingJoke = findJoke(req.params.id);
+  if (existingJoke) {
+    if (failsIfMatch(req, jokeWriteTag(existingJoke))) {
+      return rejectStale(res);
+    }
+    const { value, errors } = validate(jokeSchemaForCategories(), req.body, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
     }
+    const {
+      joke: updatedJoke,
+      errors: textErrors,
+      takenLang,
+      duplicates: similar,
+    } = reviseJoke(existingJoke, value, { partial: true }, actorOf(req));
+    if (textErrors) {
+      return rejectInvalid(res, textErrors);
+    }
+    if (takenLang) {
+      return rejectLangTaken(res, takenLang);
+    }
+    if (similar) {
+      return rejectDuplicate(res, similar);
+    }
+    res.locals.audit = {
+      target: { type: "joke", id: existingJoke.id },
+      before: existingJoke,
+      after: updatedJoke,
+    };
+    res.set("ETag", jokeTag(updatedJoke));
+    res.json(updatedJoke);
   } else {
-    res.status(404).json({ message: "Joke not found" });
+    sendProblem(res, "joke_not_found");
   }
 });
 
@@ -412,80 +2257,504 @@ app.patch("/jokes/:id", (req, res) => {
  *   delete:
  *     tags:
  *       - Jokes
- *     summary: Delete a specific joke by ID
+ *     summary: Move a specific joke to the trash
+ *     description: |
+ *       The joke disappears from every read route but can be brought back
+ *       with `POST /jokes/{id}/restore` until it is purged from the trash.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: The ID of the joke to delete
- *       - in: query
- *         name: key
- *         required: true
+ *           type: string
+ *         description: The ID or slug of the joke to delete
+ *       - in: header
+ *         name: If-Match
  *         schema:
  *           type: string
- *         description: Master key for authorization
+ *         description: Only apply the change if the joke's current ETag matches
  *     responses:
  *       200:
- *         description: Joke deleted successfully
+ *         description: Joke moved to the trash
+ *       401:
+ *         description: Missing or invalid API key
  *       403:
- *         description: Forbidden
+ *         description: API key lacks the delete scope
  *       404:
  *         description: Joke not found
+ *       412:
+ *         description: The joke changed since the ETag in `If-Match` was fetched
  */
 
 //7. DELETE a specific joke by ID
-app.delete("/jokes/:id", (req, res) => {
-  const jokeId = parseInt(req.params.id);
-  const userKey = req.query.key;
-  const jokeIndex = jokes.findIndex((joke) => joke.id === jokeId);
-  if (jokeIndex !== -1) {
-    if (userKey === masterKey) {
-      jokes.splice(jokeIndex, 1);
-      res.status(200).json({ message: "Joke deleted" });
-    } else {
-      res.status(403).json({ message: "Forbidden" });
+api.delete("/jokes/:id", requireScope("delete"), (req, res) => {
+  const existingJoke = findJoke(req.params.id);
+  if (existingJoke) {
+    if (failsIfMatch(req, jokeWriteTag(existingJoke))) {
+      return rejectStale(res);
     }
+    const trashedJoke = trashJoke(existingJoke);
+    res.locals.audit = {
+      target: { type: "joke", id: existingJoke.id },
+      before: existingJoke,
+      after: trashedJoke,
+    };
+    res.status(200).json({ message: "Joke moved to trash" });
   } else {
-    res.status(404).json({ message: "Joke not found" });
+    sendProblem(res, "joke_not_found");
   }
 });
 
 /**
  * @swagger
- * /jokes/{id}:
+ * /jokes:
  *   delete:
- *     summary: Delete a specific joke
+ *     tags:
+ *       - Jokes
+ *     summary: Move all jokes to the trash
+ *     description: |
+ *       Needs two calls. Without `confirm` the request is refused with 428
+ *       and a confirmation token valid for five minutes; repeating the
+ *       request with `confirm=<token>`, using the same API key, trashes every
+ *       joke.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
- *       - name: id
- *         in: path
- *         required: true
- *         description: ID of the joke to delete
+ *       - in: query
+ *         name: confirm
  *         schema:
- *           type: integer
- *       - name: key
- *         in: query
+ *           type: string
+ *         description: Confirmation token from the first call
+ *     responses:
+ *       200:
+ *         description: All jokes moved to the trash
+ *       400:
+ *         description: Invalid or expired confirmation token
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: API key lacks the admin scope
+ *       428:
+ *         description: Confirmation required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 confirmToken:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ */
+
+//8. DELETE All jokes
+api.delete("/jokes", requireScope("admin"), (req, res) => {
+  const { confirm } = req.query;
+  if (!confirm) {
+    const { token, expiresAt } = trash.issueConfirmToken(req.credential.id);
+    return sendProblem(
+      res,
+      "confirmation_required",
+      `This moves all ${jokes.count()} jokes to the trash. Repeat the request with confirm=<confirmToken> to proceed.`,
+      { confirmToken: token, expiresAt }
+    );
+  }
+  if (!trash.consumeConfirmToken(confirm, req.credential.id)) {
+    return sendProblem(res, "invalid_confirmation");
+  }
+  const trashed = trash.trashAll();
+  searchIndex.clear();
+  trashed.forEach((joke) => changes.publish("deleted", joke, { bulk: true }));
+  webhooks.dispatch("catalogue.cleared", { jokeCount: trashed.length });
+  res.locals.audit = {
+    target: { type: "catalogue" },
+    before: { jokeCount: trashed.length },
+    after: { jokeCount: 0 },
+  };
+  res.status(200).json({ message: `${trashed.length} jokes moved to trash` });
+});
+
+/**
+ * @swagger
+ * /jokes/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Jokes
+ *     summary: Restore a joke from the trash
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
  *         required: true
- *         description: Master key for authentication
  *         schema:
  *           type: string
+ *         description: The ID or slug of the trashed joke
  *     responses:
  *       200:
- *         description: Joke deleted
+ *         description: The restored joke
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Joke'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: API key lacks the write scope
+ *       404:
+ *         description: Joke not found in the trash
+ *       409:
+ *         description: |
+ *           Too similar to a joke added while it was in the trash (only with
+ *           the default DUPLICATE_POLICY=reject)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SimilarJoke'
  */
 
-//8. DELETE All jokes
-app.delete("/jokes", (req, res) => {
-  const userKey = req.query.key;
-  if (userKey === masterKey) {
-    jokes.length = 0;
-    res.status(200).json({ message: "All jokes deleted" });
+//12. POST restore a joke from the trash
+api.post("/jokes/:id/restore", requireScope("write"), (req, res) => {
+  const trashedJoke =
+    trash.get(req.params.id) ||
+    trash.list().find((joke) => joke.slug === req.params.id);
+  if (trashedJoke) {
+    // Other jokes may have taken its text while it was in the trash.
+    const similar = duplicates.similarTo(trashedJoke.jokeText, {
+      excludeId: trashedJoke.id,
+    });
+    if (similar.length > 0 && duplicatePolicy === "reject") {
+      return rejectDuplicate(res, similar);
+    }
+    const restoredJoke = trash.restore(trashedJoke.id, (joke) =>
+      withDuplicateFlag(joke, similar)
+    );
+    searchIndex.add(restoredJoke);
+    changes.publish("created", restoredJoke);
+    res.locals.audit = {
+      target: { type: "joke", id: restoredJoke.id },
+      before: trashedJoke,
+      after: restoredJoke,
+    };
+    res.json(restoredJoke);
   } else {
-    res.status(403).json({ message: "Forbidden" });
+    sendProblem(res, "trashed_joke_not_found");
+  }
+});
+
+/**
+ * @swagger
+ * /jokes/{id}/vote:
+ *   post:
+ *     tags:
+ *       - Jokes
+ *     summary: Upvote or downvote a joke
+ *     description: |
+ *       Every client has one vote per joke: callers with an API key vote
+ *       per key, anonymous callers per IP address. Voting again replaces
+ *       the earlier vote; `none` takes it back.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID or slug of the joke
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VoteInput'
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/VoteInput'
+ *     responses:
+ *       200:
+ *         description: The client's vote and the joke's new tallies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VoteResult'
+ *       404:
+ *         description: Joke not found
+ *       422:
+ *         description: Invalid vote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+
+//17. POST a vote on a joke
+api.post("/jokes/:id/vote", (req, res) => {
+  const joke = findJoke(req.params.id);
+  if (!joke) {
+    return sendProblem(res, "joke_not_found");
+  }
+  const { value, errors } = validate(voteInputSchema, req.body);
+  if (errors.length > 0) {
+    return rejectInvalid(res, errors);
+  }
+  const cast = votes.cast(joke, clientOf(req), value.vote);
+  if (cast.changed) {
+    const votedJoke = { ...joke, votes: cast.votes };
+    jokes.update(joke.id, votedJoke);
+    searchIndex.add(votedJoke);
+    res.locals.audit = {
+      target: { type: "joke", id: joke.id },
+      before: { votes: joke.votes },
+      after: { votes: cast.votes },
+    };
+  }
+  // Anyone can vote without a key, so anonymous votes stay out of the
+  // audit log; the votes collection already holds one per client.
+  if (!req.credential) {
+    res.locals.audit = [];
+  }
+  res.json({ jokeId: joke.id, vote: value.vote, votes: cast.votes });
+});
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Errors
+ *     description: The error codes of problem responses
+ */
+/**
+ * @swagger
+ * /problems:
+ *   get:
+ *     tags:
+ *       - Errors
+ *     summary: List every error code
+ *     description: |
+ *       Errors are answered as RFC 7807 `application/problem+json` with a
+ *       stable `code`. Each code always comes with the same status and
+ *       title; the `type` of a problem links to its entry here.
+ *     responses:
+ *       200:
+ *         description: The error codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Problem'
+ */
+
+//19. GET the catalogue of error codes
+api.get("/problems", (req, res) => {
+  res.json(
+    Object.entries(PROBLEMS).map(([code, { status, title }]) => ({
+      type: problemType(code),
+      title,
+      status,
+      code,
+    }))
+  );
+});
+
+/**
+ * @swagger
+ * /problems/{code}:
+ *   get:
+ *     tags:
+ *       - Errors
+ *     summary: Get an error code
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The error code, as in a problem's `code`
+ *     responses:
+ *       200:
+ *         description: The error code with its status and title
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Unknown error code
+ */
+
+//20. GET one error code
+api.get("/problems/:code", (req, res) => {
+  const { code } = req.params;
+  if (!Object.hasOwn(PROBLEMS, code)) {
+    return sendProblem(res, "problem_not_found");
   }
+  const { status, title } = PROBLEMS[code];
+  res.json({ type: problemType(code), title, status, code });
 });
 
-app.listen(port, () => {
+api.use(
+  "/categories",
+  createCategoriesRouter({
+    categories,
+    submissions,
+    searchIndex,
+    revisions,
+    changes,
+    requireScope,
+  })
+);
+api.use("/admin/keys", createApiKeysRouter({ apiKeys, requireScope }));
+api.use("/admin/webhooks", createWebhooksRouter({ webhooks, requireScope }));
+api.use("/trash", createTrashRouter({ trash, requireScope }));
+api.use(
+  "/jokes/:id/revisions",
+  createRevisionsRouter({
+    findJoke,
+    revisions,
+    categories,
+    jokeSchema: jokeSchemaForCategories,
+    reviseJoke,
+    requireScope,
+  })
+);
+api.use(
+  "/jokes/:id/translations",
+  createTranslationsRouter({ findJoke, translations, requireScope })
+);
+api.use(
+  "/submissions",
+  createSubmissionsRouter({
+    submissions,
+    jokeSchema: jokeSchemaForCategories,
+    similarJokes,
+    withDuplicateFlag,
+    publishJoke,
+    rejectDuplicate,
+    requireScope,
+  })
+);
+api.use("/audit", createAuditRouter({ auditLog, requireScope }));
+api.use(
+  "/graphql",
+  createGraphQLRouter({
+    jokes,
+    findJoke,
+    categories,
+    jokeSchema: jokeSchemaForCategories,
+    localizer,
+    publishJoke,
+    reviseJoke,
+    trashJoke,
+    maxDepth: Number(process.env.GRAPHQL_MAX_DEPTH || 8),
+    maxCost: Number(process.env.GRAPHQL_MAX_COST || 1000),
+  })
+);
+
+app.use(`/${API_VERSION}`, api);
+app.use(
+  deprecatedAlias({
+    deprecatedAt: UNVERSIONED_DEPRECATED_AT,
+    sunsetAt: new Date(process.env.UNVERSIONED_SUNSET || "2027-04-19"),
+  }),
+  api
+);
+app.use(routeNotFound);
+app.use(problemHandler);
+
+const server = app.listen(port, () => {
   console.log(`Successfully started server on port ${port}.`);
 });
+
+// Exit through process.exit on Ctrl+C or a stop signal from the platform,
+// so the storage backends get to save writes that are still pending.
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.once(signal, () => process.exit(0))
+);
+
+// Answer an upgrade request that won't become a WebSocket with a plain
+// HTTP response and close the connection.
+const rejectUpgrade = (socket, status, headers = {}) =>
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n${Object.entries(headers)
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join("")}Connection: close\r\n\r\n`
+  );
+
+// WebSocket flavour of GET /jokes/stream: same filters and resume, one
+// JSON message per change, and a ping every heartbeat; connections that
+// miss a pong are dropped. Opening one costs a read from the client's
+// budget, counted by IP address like any anonymous GET.
+const webSockets = new WebSocketServer({
+  noServer: true,
+  maxPayload: 64 * 1024,
+});
+
+server.on("upgrade", (req, socket, head) => {
+  const url = new URL(req.url, "http://localhost");
+  if (
+    url.pathname !== `/${API_VERSION}/jokes/stream` &&
+    url.pathname !== "/jokes/stream"
+  ) {
+    return rejectUpgrade(socket, 404);
+  }
+  const { allowed, headers } = rateLimiter.consume(
+    "read",
+    clientOf({ ip: proxyaddr(req, app.get("trust proxy fn")) })
+  );
+  if (!allowed) {
+    return rejectUpgrade(socket, 429, headers);
+  }
+  const { matches, error } = parseStreamFilter({
+    type: url.searchParams.getAll("type"),
+    events: url.searchParams.getAll("events"),
+  });
+  if (error) {
+    return rejectUpgrade(socket, 400);
+  }
+
+  webSockets.handleUpgrade(req, socket, head, (connection) => {
+    const stop = followChanges(changes, {
+      matches,
+      lastEventId: lastEventIdOf(
+        req.headers["last-event-id"] ??
+          url.searchParams.get("lastEventId") ??
+          undefined
+      ),
+      send: (change) => connection.send(JSON.stringify(change)),
+      reset: () =>
+        connection.send(
+          JSON.stringify({ event: "reset", ...streamResetMessage })
+        ),
+    });
+    let alive = true;
+    connection.on("pong", () => {
+      alive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        return connection.terminate();
+      }
+      alive = false;
+      connection.ping();
+    }, heartbeatMs);
+    // Protocol errors close the connection; "close" follows and cleans up.
+    connection.on("error", () => connection.terminate());
+    connection.on("close", () => {
+      clearInterval(heartbeat);
+      stop();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+export const SCOPES = ["read", "write", "delete", "moderate", "admin"];
+
+const KEY_PREFIX = "jk";
+
+const hash = (secret) => createHash("sha256").update(secret).digest();
+
+/**
+ * Compare two secrets in constant time. Both sides are hashed first so the
+ * comparison does not leak their lengths either.
+ */
+export const safeEqual = (a, b) =>
+  typeof a === "string" &&
+  typeof b === "string" &&
+  timingSafeEqual(hash(a), hash(b));
+
+// Keys look like `jk_<id>_<secret>`. The id is public and used for lookup;
+// only a hash of the secret is stored.
+const parseKey = (key) => {
+  const match = /^([a-z]+)_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/.exec(key || "");
+  return match && match[1] === KEY_PREFIX
+    ? { id: match[2], secret: match[3] }
+    : undefined;
+};
+
+// Stored records minus the secret hash.
+const toPublic = ({ secretHash, ...record }) => record;
+
+export const hasScope = (credential, scope) =>
+  Boolean(
+    credential &&
+      (credential.scopes.includes("admin") || credential.scopes.includes(scope))
+  );
+
+export const createApiKeys = ({ store }) => {
+  const keys = store.collection("apiKeys");
+
+  const issue = ({ name, scopes, expiresAt = null, rotatedFrom }) => {
+    const id = randomBytes(6).toString("hex");
+    const secret = randomBytes(32).toString("base64url");
+    const record = {
+      id,
+      name,
+      scopes,
+      secretHash: hash(secret).toString("hex"),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      revokedAt: null,
+      ...(rotatedFrom && { rotatedFrom }),
+    };
+    keys.insert(record);
+    return { ...toPublic(record), key: `${KEY_PREFIX}_${id}_${secret}` };
+  };
+
+  return {
+    list() {
+      return keys.all().map(toPublic);
+    },
+    get(id) {
+      const record = keys.get(id);
+      return record && toPublic(record);
+    },
+    /** Create a key. The plain key is only ever returned here. */
+    create({ name, scopes, expiresAt }) {
+      return issue({ name, scopes, expiresAt });
+    },
+    /**
+     * Issue a replacement key with the same name and scopes. The old key
+     * keeps working for `graceSeconds`, then expires.
+     */
+    rotate(id, graceSeconds = 0) {
+      const record = keys.get(id);
+      const graceEnd = new Date(Date.now() + graceSeconds * 1000);
+      const expiresAt =
+        record.expiresAt && new Date(record.expiresAt) < graceEnd
+          ? record.expiresAt
+          : graceEnd.toISOString();
+      keys.update(id, { ...record, expiresAt });
+      return issue({
+        name: record.name,
+        scopes: record.scopes,
+        expiresAt: record.expiresAt,
+        rotatedFrom: id,
+      });
+    },
+    revoke(id) {
+      const record = keys.get(id);
+      const revoked = { ...record, revokedAt: new Date().toISOString() };
+      keys.update(id, revoked);
+      return toPublic(revoked);
+    },
+    /**
+     * Look up the key record for a presented key. Returns undefined for
+     * unknown, malformed, revoked or expired keys.
+     */
+    verify(key) {
+      const parsed = parseKey(key);
+      const record = parsed && keys.get(parsed.id);
+      if (!record) {
+        return undefined;
+      }
+      const matches = timingSafeEqual(
+        hash(parsed.secret),
+        Buffer.from(record.secretHash, "hex")
+      );
+      if (
+        !matches ||
+        record.revokedAt ||
+        (record.expiresAt && new Date(record.expiresAt) <= new Date())
+      ) {
+        return undefined;
+      }
+      return toPublic(record);
+    },
+  };
+};
@@ -0,0 +1,86 @@
+import { randomUUID } from "crypto";
+
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/** The credential behind a request, as recorded in history and audit logs. */
+export const actorOf = (req) =>
+  req.credential ? { id: req.credential.id, name: req.credential.name } : null;
+
+/**
+ * Global log of every successful write: who did it, when, through which
+ * route, and the values before and after. Only the newest `maxEntries`
+ * are kept.
+ */
+export const createAuditLog = ({ store, maxEntries = 10000 }) => {
+  const entries = store.collection("audit");
+
+  // Entries are stored oldest first, so the excess is at the start.
+  const prune = () => {
+    const excess = entries.count() - maxEntries;
+    if (excess > 0) {
+      entries
+        .all()
+        .slice(0, excess)
+        .forEach((entry) => entries.remove(entry.id));
+    }
+  };
+
+  return {
+    record(entry) {
+      const recorded = entries.insert({
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        ...entry,
+      });
+      prune();
+      return recorded;
+    },
+    /** Newest entries first, optionally filtered by target or actor id. */
+    list({ targetType, targetId, actorId, limit = 50 } = {}) {
+      return entries
+        .all()
+        .filter(
+          (entry) =>
+            (!targetType || entry.target?.type === targetType) &&
+            (!targetId || String(entry.target?.id) === String(targetId)) &&
+            (!actorId || entry.actor?.id === actorId)
+        )
+        .reverse()
+        .slice(0, limit);
+    },
+  };
+};
+
+/**
+ * Middleware logging every successful write request once the response is
+ * sent. Handlers describe what they changed by setting
+ * `res.locals.audit = { target: { type, id }, before, after }`; writes that
+ * don't are still logged with route, actor and status. A request that
+ * changes several things sets a list of them, one entry each; an empty list
+ * (a GraphQL request that only reads) logs nothing.
+ */
+export const auditWrites = (auditLog) => (req, res, next) => {
+  if (!WRITE_METHODS.includes(req.method)) {
+    return next();
+  }
+  res.on("finish", () => {
+    if (res.statusCode >= 400) {
+      return;
+    }
+    []
+      .concat(res.locals.audit || {})
+      .forEach(({ target = null, before = null, after = null }) => {
+        auditLog.record({
+          actor: actorOf(req),
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          target,
+          before,
+          after,
+        });
+      });
+  });
+  next();
+};
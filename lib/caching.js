@@ -0,0 +1,70 @@
+import { createHash } from "crypto";
+
+const digest = (value) =>
+  createHash("sha1").update(JSON.stringify(value)).digest("base64url");
+
+/** Strong entity tag for a JSON representation. */
+export const entityTag = (value) => `"${digest(value)}"`;
+
+/**
+ * Strong tag for a variant of a resource tagged `etag`, such as a joke
+ * served translated or as XML; `variant` is what sets it apart. The tag
+ * extends `etag`, so `failsIfMatch` accepts it wherever it accepts `etag`.
+ */
+export const variantTag = (etag, variant) =>
+  `${etag.slice(0, -1)}~${digest(variant)}"`;
+
+// Vote tallies change without anyone editing the joke.
+const jokeContent = ({ votes, ...content }) => content;
+
+/**
+ * Tag that `If-Match` on a joke is checked against. It leaves out the vote
+ * tallies, so a vote never makes a pending edit fail with 412.
+ */
+export const jokeWriteTag = (joke) => entityTag(jokeContent(joke));
+
+/**
+ * ETag of `joke` sent as `representation`, in the language of `served`
+ * (the joke itself or a translation of it). It is a variant of
+ * `jokeWriteTag(joke)` that also covers the tallies, so caches still see
+ * new votes.
+ */
+export const jokeTag = (joke, representation = "json", served = joke) =>
+  variantTag(jokeWriteTag(joke), [representation, served]);
+
+// The tag a variant tag extends (any other tag is returned as it is).
+const baseTag = (tag) => tag.replace(/~[\w-]+"$/, '"');
+
+/**
+ * Set the validators for a cacheable response. Clients must revalidate
+ * before reusing it; Express then answers `If-None-Match` and
+ * `If-Modified-Since` with 304 when they still match.
+ */
+export const setValidators = (res, { etag, modified }) => {
+  res.set("Cache-Control", "no-cache");
+  if (etag) {
+    res.set("ETag", etag);
+  }
+  if (modified) {
+    res.set("Last-Modified", modified.toUTCString());
+  }
+};
+
+/**
+ * Whether the request's `If-Match` header rules out a write to a resource
+ * whose current tag is `etag`. Missing header means no precondition; weak
+ * tags never match, and variant tags match when they extend `etag`.
+ */
+export const failsIfMatch = (req, etag) => {
+  const header = req.get("if-match");
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === "*") {
+    return false;
+  }
+  return !header
+    .split(",")
+    .map((tag) => baseTag(tag.trim()))
+    .includes(etag);
+};
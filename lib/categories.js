@@ -0,0 +1,103 @@
+export const DEFAULT_CATEGORIES = [
+  "Science",
+  "Puns",
+  "Wordplay",
+  "Math",
+  "Food",
+  "Sports",
+  "Movies",
+];
+
+const SEEDED_KEY = "categories.seeded";
+
+const toId = (name) => name.trim().toLowerCase();
+
+/**
+ * Joke categories, stored by lowercased name so lookups are
+ * case-insensitive while the original casing is kept for display.
+ * `jokes` is the full collection, trashed jokes included, so renames and
+ * merges also apply to jokes that may be restored later; the reported
+ * `jokeCount` only counts live jokes. Operations that touch jokes return the
+ * jokes they changed so the caller can refresh anything derived from them.
+ */
+export const createCategories = ({ store, jokes }) => {
+  const categories = store.collection("categories");
+
+  // First start: the default categories plus any type already used by a joke.
+  if (!store.getMeta(SEEDED_KEY)) {
+    const names = new Map(DEFAULT_CATEGORIES.map((name) => [toId(name), name]));
+    jokes.all().forEach((joke) => {
+      if (joke.jokeType && !names.has(toId(joke.jokeType))) {
+        names.set(toId(joke.jokeType), joke.jokeType);
+      }
+    });
+    categories.insertMany(
+      [...names]
+        .filter(([id]) => !categories.get(id))
+        .map(([id, name]) => ({ id, name }))
+    );
+    store.setMeta(SEEDED_KEY, true);
+  }
+
+  const jokesIn = (name) =>
+    jokes.all().filter((joke) => toId(joke.jokeType || "") === toId(name));
+
+  const moveJokes = (from, to) =>
+    jokesIn(from).map((joke) => {
+      const moved = {
+        ...joke,
+        jokeType: to,
+        updatedAt: new Date().toISOString(),
+      };
+      jokes.update(joke.id, moved);
+      return moved;
+    });
+
+  const withCount = (category) => ({
+    name: category.name,
+    jokeCount: jokesIn(category.name).filter((joke) => !joke.deletedAt).length,
+  });
+
+  return {
+    names() {
+      return categories.all().map((category) => category.name);
+    },
+    list() {
+      return categories.all().map(withCount);
+    },
+    /** Whether any joke, live or trashed, still uses the category. */
+    inUse(name) {
+      return jokesIn(name).length > 0;
+    },
+    get(name) {
+      const category = categories.get(toId(name));
+      return category && withCount(category);
+    },
+    create(name) {
+      categories.insert({ id: toId(name), name: name.trim() });
+      return this.get(name);
+    },
+    /** Rename a category and every joke in it. */
+    rename(name, newName) {
+      const existing = categories.get(toId(name));
+      categories.remove(existing.id);
+      categories.insert({ id: toId(newName), name: newName.trim() });
+      return moveJokes(existing.name, newName.trim());
+    },
+    /** Move every joke of `name` into `into`, then drop `name`. */
+    merge(name, into) {
+      const target = categories.get(toId(into));
+      const moved = moveJokes(name, target.name);
+      categories.remove(toId(name));
+      return moved;
+    },
+    /** Delete a category, moving its jokes to `reassignTo` if given. */
+    remove(name, reassignTo) {
+      const moved = reassignTo
+        ? moveJokes(name, categories.get(toId(reassignTo)).name)
+        : [];
+      categories.remove(toId(name));
+      return moved;
+    },
+  };
+};
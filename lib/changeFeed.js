@@ -0,0 +1,103 @@
+// Live feed of joke changes behind the SSE and WebSocket streams. Write
+// handlers publish `created`, `updated` and `deleted` events; the latest
+// ones are kept in a bounded buffer so that a client reconnecting with the
+// last event id it saw gets what it missed.
+
+import { queryList } from "./listing.js";
+
+export const CHANGE_EVENTS = ["created", "updated", "deleted"];
+
+export const createChangeFeed = ({ size = 500 } = {}) => {
+  const buffer = [];
+  const listeners = new Set();
+  // Ids continue from the boot time, so they keep increasing across
+  // restarts and an id from a previous run is never mistaken for a new one.
+  let lastId = Date.now();
+
+  return {
+    /**
+     * Record a change and tell every listener. Pass `{ bulk: true }` for
+     * changes that are part of one larger operation; listeners get the
+     * options as their second argument and may skip those.
+     */
+    publish(event, joke, { bulk = false } = {}) {
+      const change = {
+        id: ++lastId,
+        event,
+        joke,
+        at: new Date().toISOString(),
+      };
+      buffer.push(change);
+      if (buffer.length > size) {
+        buffer.shift();
+      }
+      listeners.forEach((listener) => listener(change, { bulk }));
+      return change;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    /**
+     * Changes after `id`, oldest first, or undefined when the client can't
+     * be caught up: some of them have left the buffer, or the id is not
+     * one this server handed out.
+     */
+    since(id) {
+      if (!Number.isInteger(id) || id > lastId) {
+        return undefined;
+      }
+      const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+      if (id < oldest - 1) {
+        return undefined;
+      }
+      return buffer.filter((change) => change.id > id);
+    },
+  };
+};
+
+/**
+ * Parse the stream filters: `type` (joke types) and `events` (change
+ * events), both comma-separated or repeated. Returns `{ matches }`, a
+ * predicate over changes, or `{ error }`.
+ */
+export const parseStreamFilter = (query) => {
+  const types = queryList(query.type).map((type) => type.toLowerCase());
+  const events = queryList(query.events).map((event) => event.toLowerCase());
+  const unknown = events.filter((event) => !CHANGE_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown event(s): ${unknown.join(
+        ", "
+      )}. Valid events: ${CHANGE_EVENTS.join(", ")}`,
+    };
+  }
+  return {
+    matches: (change) =>
+      (types.length === 0 ||
+        types.includes(change.joke.jokeType.toLowerCase())) &&
+      (events.length === 0 || events.includes(change.event)),
+  };
+};
+
+/**
+ * Send a client the changes it missed since `lastEventId` (when given),
+ * then every new matching change. `reset()` is called instead of the
+ * replay when the missed changes are no longer available, so the client
+ * knows to reload. Returns a function that stops the stream.
+ */
+export const followChanges = (feed, { matches, lastEventId, send, reset }) => {
+  if (lastEventId !== undefined) {
+    const missed = feed.since(lastEventId);
+    if (missed) {
+      missed.filter(matches).forEach(send);
+    } else {
+      reset();
+    }
+  }
+  return feed.subscribe((change) => {
+    if (matches(change)) {
+      send(change);
+    }
+  });
+};
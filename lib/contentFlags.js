@@ -0,0 +1,162 @@
+// Content flags mark jokes that may not suit every audience. A small
+// built-in word-list classifier suggests flags from the joke text; flags
+// sent with a write override it.
+
+import { queryList } from "./listing.js";
+
+export const CONTENT_FLAGS = ["nsfw", "religious", "political", "explicit"];
+
+// Whole words (and their plurals) that suggest a flag. Deliberately short:
+// the classifier only has to catch the obvious cases, moderators fix the
+// rest by setting flags explicitly.
+const FLAG_WORDS = {
+  nsfw: [
+    "sex",
+    "sexy",
+    "naked",
+    "nude",
+    "boob",
+    "porn",
+    "horny",
+    "condom",
+    "stripper",
+    "orgasm",
+    "viagra",
+    "hooker",
+    "penis",
+    "vagina",
+  ],
+  religious: [
+    "god",
+    "jesus",
+    "christ",
+    "church",
+    "priest",
+    "pope",
+    "rabbi",
+    "imam",
+    "bible",
+    "heaven",
+    "pray",
+    "prayer",
+    "monk",
+    "nun",
+    "buddha",
+    "allah",
+    "mosque",
+    "synagogue",
+    "satan",
+    "devil",
+  ],
+  political: [
+    "president",
+    "election",
+    "democrat",
+    "republican",
+    "congress",
+    "senate",
+    "senator",
+    "politician",
+    "politics",
+    "government",
+    "parliament",
+    "liberal",
+    "conservative",
+    "communist",
+    "socialist",
+  ],
+  explicit: [
+    "fuck",
+    "fucking",
+    "shit",
+    "bitch",
+    "bastard",
+    "asshole",
+    "damn",
+    "crap",
+    "dick",
+    "piss",
+  ],
+};
+
+const WORD_FLAGS = new Map(
+  Object.entries(FLAG_WORDS).flatMap(([flag, words]) =>
+    words.flatMap((word) => [
+      [word, flag],
+      [`${word}s`, flag],
+    ])
+  )
+);
+
+/** Flags the word lists suggest for `text`, in `CONTENT_FLAGS` order. */
+export const suggestFlags = (text) => {
+  const found = new Set(
+    (
+      String(text)
+        .toLowerCase()
+        .match(/[a-z]+/g) || []
+    )
+      .map((word) => WORD_FLAGS.get(word))
+      .filter(Boolean)
+  );
+  return CONTENT_FLAGS.filter((flag) => found.has(flag));
+};
+
+/**
+ * Flags to store for a joke being written. Flags sent with the request
+ * win. Otherwise a new joke gets the suggested flags, and an edited joke
+ * keeps its flags plus any suggested for its new text; an edit never drops
+ * a flag on its own.
+ */
+export const resolveFlags = ({ requested, text, existing }) => {
+  if (requested !== undefined) {
+    return CONTENT_FLAGS.filter((flag) => requested.includes(flag));
+  }
+  const current = existing?.flags || [];
+  if (existing && existing.jokeText === text) {
+    return current;
+  }
+  const suggested = suggestFlags(text);
+  return CONTENT_FLAGS.filter(
+    (flag) => current.includes(flag) || suggested.includes(flag)
+  );
+};
+
+/**
+ * Flags excluded by the `safe` and `blacklistFlags` query options, or
+ * `{ error }` for unknown flags. `safe=true` excludes every flag.
+ */
+export const parseFlagFilter = (query) => {
+  const blacklist = queryList(query.blacklistFlags).map((flag) =>
+    flag.toLowerCase()
+  );
+  const unknown = blacklist.filter((flag) => !CONTENT_FLAGS.includes(flag));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown flag(s): ${unknown.join(
+        ", "
+      )}. Valid flags: ${CONTENT_FLAGS.join(", ")}`,
+    };
+  }
+  if (query.safe !== undefined && !["true", "false"].includes(query.safe)) {
+    return { error: "safe must be true or false" };
+  }
+  return {
+    excluded: query.safe === "true" ? CONTENT_FLAGS : blacklist,
+  };
+};
+
+/** Whether a joke passes a filter from `parseFlagFilter`. */
+export const passesFlagFilter = (joke, excluded) =>
+  !(joke.flags || []).some((flag) => excluded.includes(flag));
+
+// Give every stored joke without flags the suggested ones. Run once at
+// startup, like slug backfilling.
+export const backfillFlags = (jokes) => {
+  jokes
+    .all()
+    .filter((joke) => joke.flags === undefined)
+    .forEach((joke) => {
+      jokes.update(joke.id, { ...joke, flags: suggestFlags(joke.jokeText) });
+    });
+};
@@ -0,0 +1,119 @@
+import { createRandom, sample } from "./random.js";
+import { sortJokes } from "./listing.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** The current calendar date in `timeZone`, as `YYYY-MM-DD`. */
+export const todayIn = (timeZone, now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/** Days since 1970-01-01 for a `YYYY-MM-DD` string, or undefined if invalid. */
+export const dayNumber = (date) => {
+  if (!DATE_PATTERN.test(date)) {
+    return undefined;
+  }
+  const time = Date.parse(`${date}T00:00:00Z`);
+  if (
+    Number.isNaN(time) ||
+    new Date(time).toISOString().slice(0, 10) !== date
+  ) {
+    return undefined;
+  }
+  return time / DAY_MS;
+};
+
+export const dateFromDayNumber = (day) =>
+  new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+const shuffled = (jokes, seed) =>
+  sample(jokes, jokes.length, createRandom(seed));
+
+/**
+ * Deterministically pick the joke for `day` out of `candidates`.
+ *
+ * Days are grouped into cycles as long as the candidate list; each cycle is
+ * a seeded shuffle, so no joke repeats within a cycle. At a cycle boundary,
+ * jokes shown in the last `window` days of the previous cycle are swapped out
+ * of the first `window` days of the new one. The window is capped at a third
+ * of the candidates so the swap never touches the tail of a cycle, which is
+ * what makes each day computable on its own.
+ */
+export const pickForDay = (candidates, day, { key = "all", window = 0 }) => {
+  const size = candidates.length;
+  if (size === 0) {
+    return undefined;
+  }
+  const sorted = sortJokes(candidates);
+  const span = Math.min(window, Math.floor(size / 3));
+  const cycle = Math.floor(day / size);
+  const position = day - cycle * size;
+
+  const order = shuffled(sorted, `${key}:${cycle}`);
+  if (span > 0) {
+    const previous = shuffled(sorted, `${key}:${cycle - 1}`);
+    const recent = new Set(previous.slice(size - span).map((joke) => joke.id));
+    let swapWith = span;
+    for (let i = 0; i < span; i++) {
+      if (recent.has(order[i].id)) {
+        while (recent.has(order[swapWith].id)) {
+          swapWith++;
+        }
+        [order[i], order[swapWith]] = [order[swapWith], order[i]];
+        swapWith++;
+      }
+    }
+  }
+  return order[position];
+};
+
+/**
+ * Joke of the day backed by `picks`, a collection recording the joke shown on
+ * a day while that day is current (`record`). Recorded picks keep a day's
+ * joke stable even if jokes are added or removed later; other days, and days
+ * whose joke has since been deleted, are computed with `pickForDay` and not
+ * stored, so looking up arbitrary dates never grows the store.
+ */
+export const createDailyJokes = ({ jokes, picks, window }) => ({
+  forDate(date, { type, record = false } = {}) {
+    const key = type ? type.toLowerCase() : "all";
+    const pickId = `${key}:${date}`;
+    const recorded = picks.get(pickId);
+    if (recorded) {
+      const joke = jokes.get(recorded.jokeId);
+      if (joke) {
+        return joke;
+      }
+      picks.remove(pickId);
+    }
+
+    const candidates = jokes
+      .all()
+      .filter((joke) => !type || joke.jokeType.toLowerCase() === key);
+    const joke = pickForDay(candidates, dayNumber(date), { key, window });
+    if (joke && record) {
+      picks.insert({ id: pickId, jokeId: joke.id });
+    }
+    return joke;
+  },
+});
@@ -0,0 +1,236 @@
+// Duplicate and near-duplicate detection. Joke texts are normalized, cut
+// into character shingles and summarized with MinHash signatures; LSH
+// banding over the signatures finds candidate pairs, whose similarity is
+// then the exact Jaccard index of their shingle sets.
+
+import { createRandom } from "./random.js";
+
+const SHINGLE_SIZE = 4;
+const BANDS = 16;
+const ROWS_PER_BAND = 4;
+const HASHES = BANDS * ROWS_PER_BAND;
+
+// Fixed seeds, so signatures are the same on every start.
+const random = createRandom("minhash");
+const HASH_SEEDS = Array.from({ length: HASHES }, () =>
+  Math.floor(random() * 2 ** 32)
+);
+
+/**
+ * Text as compared for duplicates: accents, case, punctuation and spacing
+ * are dropped.
+ */
+export const normalizeText = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const shinglesOf = (text) => {
+  const normalized = normalizeText(text);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= normalized.length; i++) {
+    shingles.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  if (shingles.size === 0 && normalized) {
+    shingles.add(normalized);
+  }
+  return shingles;
+};
+
+// FNV-1a of a shingle, then one murmur3 finalizer per seed.
+const hashShingle = (shingle) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < shingle.length; i++) {
+    hash ^= shingle.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const mix = (value, seed) => {
+  let x = (value ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+};
+
+const signatureOf = (shingles) => {
+  const signature = new Array(HASHES).fill(2 ** 32);
+  shingles.forEach((shingle) => {
+    const hash = hashShingle(shingle);
+    HASH_SEEDS.forEach((seed, i) => {
+      const value = mix(hash, seed);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    });
+  });
+  return signature;
+};
+
+const bandKeys = (signature) =>
+  Array.from(
+    { length: BANDS },
+    (_, band) =>
+      `${band}:${signature
+        .slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND)
+        .join(",")}`
+  );
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach((shingle) => {
+    if (b.has(shingle)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const round = (similarity) => Math.round(similarity * 1000) / 1000;
+
+/**
+ * Similarity index over the live jokes. It re-reads `jokes` on every
+ * query and only re-hashes jokes whose text changed, so it never needs to
+ * be told about writes.
+ *
+ * `threshold` is the Jaccard similarity (0-1) from which two jokes count
+ * as duplicates; identical normalized texts score 1.
+ */
+export const createDuplicateIndex = ({ jokes, threshold = 0.8 }) => {
+  const entries = new Map();
+  const buckets = new Map();
+
+  const unbucket = (key, entry) => {
+    entry.bands.forEach((band) => {
+      const members = buckets.get(band);
+      members.delete(key);
+      if (members.size === 0) {
+        buckets.delete(band);
+      }
+    });
+  };
+
+  const sync = () => {
+    const live = new Map(jokes.all().map((joke) => [String(joke.id), joke]));
+    entries.forEach((entry, key) => {
+      if (!live.has(key)) {
+        unbucket(key, entry);
+        entries.delete(key);
+      }
+    });
+    live.forEach((joke, key) => {
+      const current = entries.get(key);
+      if (current && current.text === joke.jokeText) {
+        return;
+      }
+      if (current) {
+        unbucket(key, current);
+      }
+      const shingles = shinglesOf(joke.jokeText);
+      const bands = bandKeys(signatureOf(shingles));
+      entries.set(key, { id: joke.id, text: joke.jokeText, shingles, bands });
+      bands.forEach((band) => {
+        if (!buckets.has(band)) {
+          buckets.set(band, new Set());
+        }
+        buckets.get(band).add(key);
+      });
+    });
+  };
+
+  const candidates = (bands) => {
+    const keys = new Set();
+    bands.forEach((band) => buckets.get(band)?.forEach((key) => keys.add(key)));
+    return keys;
+  };
+
+  return {
+    threshold,
+    /**
+     * Live jokes at least `minSimilarity` similar to `text`, most similar
+     * first. `excludeId` leaves out the joke being edited.
+     */
+    similarTo(text, { excludeId, minSimilarity = threshold } = {}) {
+      sync();
+      const shingles = shinglesOf(text);
+      const matches = [];
+      candidates(bandKeys(signatureOf(shingles))).forEach((key) => {
+        const entry = entries.get(key);
+        if (excludeId !== undefined && key === String(excludeId)) {
+          return;
+        }
+        const similarity = jaccard(shingles, entry.shingles);
+        if (similarity >= minSimilarity) {
+          matches.push({ id: entry.id, similarity: round(similarity) });
+        }
+      });
+      return matches.sort(
+        (a, b) =>
+          b.similarity - a.similarity || String(a.id).localeCompare(b.id)
+      );
+    },
+    /**
+     * Groups of jokes linked by pairwise similarity of at least
+     * `minSimilarity`. Each cluster lists its joke ids in catalogue order
+     * and the lowest similarity among its linked pairs.
+     */
+    clusters({ minSimilarity = threshold } = {}) {
+      sync();
+      const parent = new Map();
+      const find = (key) => {
+        while (parent.get(key) !== key) {
+          parent.set(key, parent.get(parent.get(key)));
+          key = parent.get(key);
+        }
+        return key;
+      };
+      const weakestLink = new Map();
+      entries.forEach((_, key) => parent.set(key, key));
+
+      entries.forEach((entry, key) => {
+        candidates(entry.bands).forEach((other) => {
+          if (other <= key) {
+            return;
+          }
+          const similarity = jaccard(
+            entry.shingles,
+            entries.get(other).shingles
+          );
+          if (similarity < minSimilarity) {
+            return;
+          }
+          const [a, b] = [find(key), find(other)];
+          const weakest = Math.min(
+            similarity,
+            weakestLink.get(a) ?? 1,
+            weakestLink.get(b) ?? 1
+          );
+          parent.set(b, a);
+          weakestLink.set(a, weakest);
+        });
+      });
+
+      const groups = new Map();
+      entries.forEach((entry, key) => {
+        const root = find(key);
+        if (!groups.has(root)) {
+          groups.set(root, []);
+        }
+        groups.get(root).push(entry.id);
+      });
+      return [...groups.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([root, ids]) => ({
+          similarity: round(weakestLink.get(root)),
+          ids,
+        }));
+    },
+  };
+};
@@ -0,0 +1,288 @@
+// GraphQL schema over the joke catalogue, and the depth and cost limits
+// that keep a single query from asking for the whole catalogue many times
+// over. Resolvers live with the route, next to the rest of the request
+// handling.
+
+import {
+  GraphQLError,
+  Kind,
+  buildSchema,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isListType,
+  parse,
+} from "graphql";
+
+export const schema = buildSchema(`
+  "A joke, in the language negotiated for the request"
+  type Joke {
+    id: ID!
+    slug: String
+    jokeText: String!
+    "First part of a two-part joke"
+    setup: String
+    "Punchline of a two-part joke"
+    delivery: String
+    jokeType: String!
+    format: JokeFormat!
+    flags: [ContentFlag!]!
+    lang: String!
+    "Original language, when the joke is served translated"
+    translatedFrom: String
+    votes: VoteTally!
+    possibleDuplicateOf: [ID!]
+    createdAt: String
+    updatedAt: String
+    category: Category
+  }
+
+  type VoteTally {
+    up: Int!
+    down: Int!
+    score: Int!
+  }
+
+  type Category {
+    name: String!
+    "Live jokes in the category"
+    jokeCount: Int!
+    jokes(limit: Int = 20, offset: Int = 0, lang: String): [Joke!]!
+  }
+
+  enum JokeFormat {
+    single
+    twopart
+  }
+
+  enum ContentFlag {
+    nsfw
+    religious
+    political
+    explicit
+  }
+
+  type Query {
+    "A joke by id or slug"
+    joke(id: ID!, lang: String): Joke
+    "Random jokes, filtered like GET /jokes/random"
+    randomJokes(
+      type: [String!]
+      exclude: [ID!]
+      maxLength: Int
+      format: JokeFormat
+      safe: Boolean
+      blacklistFlags: [ContentFlag!]
+      count: Int = 1
+      seed: String
+      lang: String
+    ): [Joke!]!
+    "Jokes, optionally of one type, sorted like GET /jokes"
+    jokes(
+      type: String
+      format: JokeFormat
+      safe: Boolean
+      blacklistFlags: [ContentFlag!]
+      sort: String = "id"
+      limit: Int = 20
+      offset: Int = 0
+      lang: String
+    ): [Joke!]!
+    categories: [Category!]!
+    category(name: String!): Category
+  }
+
+  "Joke fields, validated like the JSON bodies of the REST routes"
+  input JokeInput {
+    text: String
+    setup: String
+    delivery: String
+    type: String
+    flags: [ContentFlag!]
+    lang: String
+  }
+
+  type Mutation {
+    "Like POST /jokes; needs the write scope"
+    createJoke(input: JokeInput!): Joke!
+    "Like PUT /jokes/{id}; needs the write scope"
+    replaceJoke(id: ID!, input: JokeInput!): Joke!
+    "Like PATCH /jokes/{id}; needs the write scope"
+    updateJoke(id: ID!, input: JokeInput!): Joke!
+    "Like DELETE /jokes/{id}, returning the trashed joke; needs the delete scope"
+    deleteJoke(id: ID!): Joke!
+  }
+`);
+
+/**
+ * Type of the operation a request body asks to run ("query", "mutation" or
+ * "subscription"), or undefined when there is no such operation or the
+ * query doesn't parse.
+ */
+export const operationTypeOf = ({ query, operationName }) => {
+  if (typeof query !== "string") {
+    return undefined;
+  }
+  try {
+    return getOperationAST(parse(query), operationName)?.operation;
+  } catch {
+    return undefined;
+  }
+};
+
+// Assumed length of list fields without a `limit` or `count` argument.
+const UNSIZED_LIST_LENGTH = 10;
+
+// Names of the fragments spread in a selection set, outside of fragments.
+const spreadsOf = (selectionSet) =>
+  selectionSet.selections.flatMap((selection) => {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      return [selection.name.value];
+    }
+    return selection.selectionSet ? spreadsOf(selection.selectionSet) : [];
+  });
+
+/**
+ * Errors for spreads of fragments that don't exist or that end up spreading
+ * themselves. Every fragment is looked at once, however often it is spread.
+ */
+const checkFragments = (operation, fragments) => {
+  const errors = [];
+  const visited = new Map();
+  const visit = (name) => {
+    if (visited.get(name) === "done") {
+      return;
+    }
+    if (visited.get(name) === "visiting") {
+      errors.push(new GraphQLError(`Fragment "${name}" spreads itself`));
+      return;
+    }
+    visited.set(name, "visiting");
+    if (Object.hasOwn(fragments, name)) {
+      spreadsOf(fragments[name].selectionSet).forEach(visit);
+    } else {
+      errors.push(new GraphQLError(`Unknown fragment "${name}"`));
+    }
+    visited.set(name, "done");
+  };
+  spreadsOf(operation.selectionSet).forEach(visit);
+  return errors;
+};
+
+/**
+ * Depth and cost of an operation, with its variables already coerced and
+ * its fragments checked. Depth counts nested field selections. Every field
+ * costs 1, and the cost of a list field's selection is multiplied by its
+ * `limit` or `count` argument, so `categories { jokes(limit: 50) { id } }`
+ * costs far more than it looks. Introspection fields are left out so tools
+ * can always load the schema.
+ *
+ * Named fragments are measured once, however often they are spread, and
+ * measuring stops as soon as the cost passes `maxCost`; the cost returned
+ * is then only a lower bound.
+ */
+export const measureOperation = (
+  operation,
+  fragments,
+  variableValues,
+  maxCost = Infinity
+) => {
+  const named = new Map();
+
+  const measure = (type, selectionSet) => {
+    let depth = 0;
+    let cost = 0;
+    selectionSet.selections.forEach((selection) => {
+      if (cost > maxCost) {
+        return;
+      }
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith("__")) {
+          return;
+        }
+        const field = type.getFields()[selection.name.value];
+        const inner = selection.selectionSet
+          ? measure(getNamedType(field.type), selection.selectionSet)
+          : { depth: 0, cost: 0 };
+        const args = getArgumentValues(field, selection, variableValues);
+        const length = isListType(getNullableType(field.type))
+          ? Math.max(args.limit ?? args.count ?? UNSIZED_LIST_LENGTH, 1)
+          : 1;
+        depth = Math.max(depth, 1 + inner.depth);
+        cost += 1 + length * inner.cost;
+        return;
+      }
+      const inner =
+        selection.kind === Kind.INLINE_FRAGMENT
+          ? measure(
+              selection.typeCondition
+                ? schema.getType(selection.typeCondition.name.value)
+                : type,
+              selection.selectionSet
+            )
+          : measureFragment(selection.name.value);
+      depth = Math.max(depth, inner.depth);
+      cost += inner.cost;
+    });
+    return { depth, cost };
+  };
+
+  const measureFragment = (name) => {
+    if (!named.has(name)) {
+      const fragment = fragments[name];
+      named.set(
+        name,
+        measure(
+          schema.getType(fragment.typeCondition.name.value),
+          fragment.selectionSet
+        )
+      );
+    }
+    return named.get(name);
+  };
+
+  return measure(
+    schema.getRootType(operation.operation),
+    operation.selectionSet
+  );
+};
+
+/**
+ * Errors for an operation over the limits, to be answered instead of
+ * running it.
+ */
+export const checkLimits = (
+  operation,
+  fragments,
+  variableValues,
+  { maxDepth, maxCost }
+) => {
+  const fragmentErrors = checkFragments(operation, fragments);
+  if (fragmentErrors.length > 0) {
+    return fragmentErrors;
+  }
+  const { depth, cost } = measureOperation(
+    operation,
+    fragments,
+    variableValues,
+    maxCost
+  );
+  const errors = [];
+  if (depth > maxDepth) {
+    errors.push(
+      new GraphQLError(
+        `Query is nested ${depth} levels deep; the limit is ${maxDepth}`,
+        { extensions: { code: "QUERY_TOO_DEEP", depth, maxDepth } }
+      )
+    );
+  }
+  if (cost > maxCost) {
+    errors.push(
+      new GraphQLError(`Query costs more than ${maxCost} points`, {
+        extensions: { code: "QUERY_TOO_COMPLEX", maxCost },
+      })
+    );
+  }
+  return errors;
+};
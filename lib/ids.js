@@ -0,0 +1,87 @@
+import { randomUUID } from "crypto";
+
+const LAST_ID_KEY = "jokes.lastId";
+const SLUG_WORDS = 8;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Hands out ids for new jokes. In "increment" mode the last issued id is
+ * kept in the store's meta table, so ids are never reused, even after the
+ * joke that held one is deleted or the server restarts. In "uuid" mode ids
+ * are opaque random UUIDs. `isValid(id)` tells whether an id given from
+ * outside (e.g. by an import) has the form of the ids handed out, and
+ * `format` describes that form for error messages.
+ */
+export const createIdAllocator = (store, { mode = "increment" } = {}) => {
+  if (mode !== "increment" && mode !== "uuid") {
+    throw new Error(`Unknown id mode "${mode}"`);
+  }
+  const jokes = store.collection("jokes");
+
+  if (store.getMeta(LAST_ID_KEY) === undefined) {
+    const numericIds = jokes
+      .all()
+      .map((joke) => joke.id)
+      .filter(Number.isInteger);
+    store.setMeta(LAST_ID_KEY, Math.max(0, ...numericIds));
+  }
+
+  return {
+    next() {
+      let id;
+      do {
+        if (mode === "uuid") {
+          id = randomUUID();
+        } else {
+          id = store.getMeta(LAST_ID_KEY) + 1;
+          store.setMeta(LAST_ID_KEY, id);
+        }
+      } while (jokes.get(id));
+      return id;
+    },
+    isValid(id) {
+      return mode === "uuid"
+        ? typeof id === "string" && UUID_PATTERN.test(id)
+        : Number.isSafeInteger(id) && id > 0;
+    },
+    format: mode === "uuid" ? "a UUID" : "a positive integer",
+  };
+};
+
+export const slugify = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+    .slice(0, SLUG_WORDS)
+    .join("-") || "joke";
+
+/**
+ * Build a slug from the joke text that no other joke uses yet. Slugs are set
+ * once on creation and never change, even if the text is edited later.
+ */
+export const uniqueSlug = (text, jokes) => {
+  const taken = new Set(jokes.all().map((joke) => joke.slug));
+  const base = slugify(text);
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Give every stored joke without a slug one. Run once at startup so jokes
+// created before slugs existed become addressable by slug too.
+export const backfillSlugs = (jokes) => {
+  jokes
+    .all()
+    .filter((joke) => !joke.slug)
+    .forEach((joke) => {
+      jokes.update(joke.id, { ...joke, slug: uniqueSlug(joke.jokeText, jokes) });
+    });
+};
@@ -0,0 +1,341 @@
+import { normalizeText } from "./dedup.js";
+import { validate } from "./schema.js";
+import { textFields } from "./jokeFormat.js";
+import { resolveFlags } from "./contentFlags.js";
+import { DEFAULT_LANG, normalizeLang } from "./translations.js";
+
+export const FORMATS = {
+  json: { contentType: "application/json" },
+  ndjson: { contentType: "application/x-ndjson" },
+  csv: { contentType: "text/csv" },
+};
+
+const CSV_COLUMNS = [
+  "id",
+  "slug",
+  "jokeText",
+  "setup",
+  "delivery",
+  "jokeType",
+  "flags",
+  "lang",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Format of a request body or export: the `format` query parameter if
+ * given, otherwise the one matching `contentType`. Undefined if unknown.
+ */
+export const formatOf = (requested, contentType = "") => {
+  if (requested !== undefined) {
+    const format = String(requested).toLowerCase();
+    return FORMATS[format] ? format : undefined;
+  }
+  const mediaType = contentType.split(";")[0].trim().toLowerCase();
+  return Object.keys(FORMATS).find(
+    (format) => FORMATS[format].contentType === mediaType
+  );
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line
+// breaks. Returns records with the line each one starts on.
+const parseCsvRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== "") {
+      records.push({ line: startLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+  }
+  endRecord();
+  return records;
+};
+
+/**
+ * Split an import body into `{ row, record }` entries. `row` is the line
+ * number for NDJSON and CSV (the header is line 1) and the 1-based position
+ * for a JSON array. Rows that can't be parsed carry an `error` instead of a
+ * record; a body that can't be read at all gives `{ error }`.
+ */
+export const parseImport = (text, format) => {
+  if (format === "json") {
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch {
+      return { error: "Body is not valid JSON" };
+    }
+    if (!Array.isArray(records)) {
+      return { error: "JSON imports must be an array of jokes" };
+    }
+    return { rows: records.map((record, i) => ({ row: i + 1, record })) };
+  }
+
+  if (format === "ndjson") {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === "") {
+        return;
+      }
+      try {
+        rows.push({ row: i + 1, record: JSON.parse(line) });
+      } catch {
+        rows.push({ row: i + 1, error: "Line is not valid JSON" });
+      }
+    });
+    return { rows };
+  }
+
+  let records;
+  try {
+    records = parseCsvRecords(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (records.length === 0) {
+    return { rows: [] };
+  }
+  const header = records[0].fields.map((name) => name.trim());
+  return {
+    rows: records.slice(1).map(({ line, fields }) => ({
+      row: line,
+      record: Object.fromEntries(
+        header
+          .map((name, i) => [name, fields[i]])
+          .filter(([, value]) => value !== undefined && value !== "")
+      ),
+    })),
+  };
+};
+
+// Ids arrive as strings from CSV; numeric ones become numbers so they
+// match the ids the increment allocator hands out.
+const normalizeId = (id) =>
+  typeof id === "string" && /^\d+$/.test(id.trim()) ? Number(id) : id;
+
+/**
+ * Work out what importing `rows` would do, without changing anything.
+ * Records use the same fields as `POST /jokes` (`text` or `setup` and
+ * `delivery`, `type`, `flags` and `lang`) or as the export (`jokeText`,
+ * `jokeType`), plus an optional `id`. A record whose id belongs to an
+ * existing joke replaces that joke's text and type (upsert-by-id); any other valid record creates a joke,
+ * with the record's id if `jokeIds` (the id allocator) would accept it. A record whose
+ * text is similar to another joke (per the `duplicates` index), or the
+ * same as an earlier record in the same import, is a duplicate and is
+ * skipped; `duplicateOf` names the joke id or row it repeats.
+ *
+ * Each result has the row, an `action` (`create`, `update`, `unchanged`,
+ * `invalid` or `duplicate`) and, for creates and updates, the `joke` fields
+ * to write.
+ */
+export const planImport = (
+  rows,
+  { jokes, schema, duplicates, translations, jokeIds }
+) => {
+  const importedTexts = new Map();
+  const seenIds = new Set();
+
+  return rows.map(({ row, record, error }) => {
+    if (error) {
+      return {
+        row,
+        action: "invalid",
+        errors: [{ field: "row", code: "parse", message: error }],
+      };
+    }
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      return {
+        row,
+        action: "invalid",
+        errors: [
+          { field: "row", code: "type", message: "Row must be an object" },
+        ],
+      };
+    }
+
+    const id = normalizeId(record.id);
+    // Exported two-part jokes carry jokeText as well as their parts; the
+    // parts win.
+    const parts = record.setup !== undefined || record.delivery !== undefined;
+    const { value, errors } = validate(schema, {
+      text: parts ? undefined : record.text ?? record.jokeText,
+      setup: record.setup,
+      delivery: record.delivery,
+      type: record.type ?? record.jokeType,
+      flags: record.flags,
+      lang: record.lang || undefined,
+    });
+    const { fields, errors: textErrors } =
+      errors.length > 0 ? { errors: [] } : textFields(value);
+    errors.push(...textErrors);
+    const idHasType =
+      id === undefined || ["string", "number"].includes(typeof id);
+    if (!idHasType) {
+      errors.push({
+        field: "id",
+        code: "type",
+        message: "id must be a string or number",
+      });
+    }
+    if (id !== undefined && seenIds.has(String(id))) {
+      errors.push({
+        field: "id",
+        code: "duplicate",
+        message: `id ${id} appears more than once in this import`,
+      });
+    }
+    const existing = id === undefined ? undefined : jokes.get(id);
+    // Ids of new jokes have to look like the ones the allocator hands out,
+    // so that every joke can be reached by URL and none collides with it.
+    if (idHasType && id !== undefined && !existing && !jokeIds.isValid(id)) {
+      errors.push({
+        field: "id",
+        code: "format",
+        message: `id of a new joke must be ${jokeIds.format}`,
+      });
+    }
+    if (existing && existing.deletedAt) {
+      errors.push({
+        field: "id",
+        code: "trashed",
+        message: `Joke ${id} is in the trash; restore it first`,
+      });
+    }
+    const lang = value.lang
+      ? normalizeLang(value.lang)
+      : existing?.lang ?? DEFAULT_LANG;
+    if (
+      existing &&
+      lang !== existing.lang &&
+      translations.get(existing.id, lang) !== undefined
+    ) {
+      errors.push({
+        field: "lang",
+        code: "conflict",
+        message: `Joke ${id} already has a "${lang}" translation`,
+      });
+    }
+    if (errors.length > 0) {
+      return { row, id, action: "invalid", errors };
+    }
+    if (id !== undefined) {
+      seenIds.add(String(id));
+    }
+
+    // Only text new to this joke is checked, so re-importing an export
+    // never flags a joke against itself.
+    const text = normalizeText(fields.jokeText);
+    const keepsText = existing && normalizeText(existing.jokeText) === text;
+    if (!keepsText) {
+      if (importedTexts.has(text)) {
+        return {
+          row,
+          id,
+          action: "duplicate",
+          duplicateOf: { row: importedTexts.get(text) },
+        };
+      }
+      const [match] = duplicates.similarTo(fields.jokeText, { excludeId: id });
+      if (match) {
+        return { row, id, action: "duplicate", duplicateOf: match };
+      }
+      importedTexts.set(text, row);
+    }
+
+    const joke = {
+      ...fields,
+      jokeType: value.type,
+      flags: resolveFlags({
+        requested: value.flags,
+        text: fields.jokeText,
+        existing,
+      }),
+      lang,
+    };
+    if (!existing) {
+      return { row, id, action: "create", joke };
+    }
+    if (
+      ["jokeText", "setup", "delivery", "jokeType", "flags", "lang"].every(
+        (field) =>
+          JSON.stringify(existing[field]) === JSON.stringify(joke[field])
+      )
+    ) {
+      return { row, id, action: "unchanged" };
+    }
+    return { row, id, action: "update", joke };
+  });
+};
+
+const csvField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Serialize jokes one chunk at a time, for streaming an export. */
+export function* exportChunks(jokes, format) {
+  if (format === "csv") {
+    yield `${CSV_COLUMNS.join(",")}\r\n`;
+    for (const joke of jokes) {
+      yield `${CSV_COLUMNS.map((column) => csvField(joke[column])).join(
+        ","
+      )}\r\n`;
+    }
+  } else if (format === "ndjson") {
+    for (const joke of jokes) {
+      yield `${JSON.stringify(joke)}\n`;
+    }
+  } else {
+    yield "[";
+    let first = true;
+    for (const joke of jokes) {
+      yield `${first ? "" : ","}\n${JSON.stringify(joke)}`;
+      first = false;
+    }
+    yield "\n]\n";
+  }
+}
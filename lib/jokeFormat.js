@@ -0,0 +1,105 @@
+// Jokes come in two formats: "single" (just `jokeText`) and "twopart"
+// (`setup` + `delivery`, so clients can reveal the punchline later).
+// Two-part jokes keep `jokeText` as setup and delivery joined, so search,
+// duplicate detection and older clients work on them unchanged.
+
+import { MAX_JOKE_LENGTH } from "./schema.js";
+
+export const JOKE_FORMATS = ["single", "twopart"];
+
+export const jokeFormat = (joke) =>
+  joke.setup !== undefined ? "twopart" : "single";
+
+/**
+ * Split question-style text ("Why ...? Because ...") into setup and
+ * delivery at the first question mark followed by more text. Undefined
+ * for anything else.
+ */
+export const splitJoke = (text) => {
+  const match = /^(.+?\?)\s+(\S[\s\S]*)$/.exec(String(text).trim());
+  return match ? { setup: match[1], delivery: match[2] } : undefined;
+};
+
+const partsOf = (joke) =>
+  joke.setup !== undefined
+    ? { jokeText: joke.jokeText, setup: joke.setup, delivery: joke.delivery }
+    : { jokeText: joke.jokeText };
+
+/**
+ * Text fields of a joke being written, from validated input: explicit
+ * `setup` and `delivery`, or `text` (split when it is question-style).
+ * For partial updates `existing` supplies whatever the input leaves out.
+ * Returns `{ fields, errors }`; `fields` holds `jokeText` and, for two-part
+ * jokes, `setup` and `delivery`.
+ */
+export const textFields = (value, existing) => {
+  const partsGiven = value.setup !== undefined || value.delivery !== undefined;
+  if (partsGiven && value.text !== undefined) {
+    return {
+      errors: [
+        {
+          field: "text",
+          code: "conflict",
+          message: "Send either text or setup and delivery, not both",
+        },
+      ],
+    };
+  }
+
+  if (partsGiven) {
+    const setup = value.setup ?? existing?.setup;
+    const delivery = value.delivery ?? existing?.delivery;
+    const errors = Object.entries({ setup, delivery })
+      .filter(([, part]) => part === undefined)
+      .map(([field]) => ({
+        field,
+        code: "required",
+        message: `${field} is required for a two-part joke`,
+      }));
+    const jokeText = `${setup} ${delivery}`;
+    if (errors.length === 0 && jokeText.length > MAX_JOKE_LENGTH) {
+      errors.push({
+        field: "delivery",
+        code: "maxLength",
+        message: `setup and delivery together must be at most ${MAX_JOKE_LENGTH} characters`,
+      });
+    }
+    return { fields: { jokeText, setup, delivery }, errors };
+  }
+
+  if (value.text !== undefined) {
+    return {
+      fields: { jokeText: value.text, ...splitJoke(value.text) },
+      errors: [],
+    };
+  }
+  if (existing) {
+    return { fields: partsOf(existing), errors: [] };
+  }
+  return {
+    errors: [
+      {
+        field: "text",
+        code: "required",
+        message: "text (or setup and delivery) is required",
+      },
+    ],
+  };
+};
+
+/** Replace a joke's text fields, dropping setup/delivery it no longer has. */
+export const withTextFields = ({ setup, delivery, ...joke }, fields) => ({
+  ...joke,
+  ...fields,
+});
+
+// Split every stored single-line joke that reads as a question and answer.
+// Run once at startup, like slug backfilling.
+export const backfillTwoPart = (jokes) => {
+  jokes
+    .all()
+    .filter((joke) => joke.setup === undefined && splitJoke(joke.jokeText))
+    .forEach((joke) => {
+      jokes.update(joke.id, { ...joke, ...splitJoke(joke.jokeText) });
+    });
+};
@@ -0,0 +1,202 @@
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+const sortKeys = {
+  id: (joke) => joke.id,
+  type: (joke) => (joke.jokeType || "").toLowerCase(),
+  length: (joke) => (joke.jokeText || "").length,
+  createdAt: (joke) => joke.createdAt || "",
+};
+
+// Numbers sort before strings so mixed numeric/UUID ids still order stably.
+const compareValues = (a, b) => {
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  if (typeof a === "number") {
+    return -1;
+  }
+  if (typeof b === "number") {
+    return 1;
+  }
+  return String(a).localeCompare(String(b));
+};
+
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return position && "id" in position ? position : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+const parsePositiveInt = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+/**
+ * Read a multi-valued query parameter given either repeated
+ * (`?type=a&type=b`) or comma-separated (`?type=a,b`).
+ */
+export const queryList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * The first of the query parameters `names` that was given more than once
+ * or with brackets (`?sort=a&sort=b`, `?sort[x]=a`), which Express parses
+ * into an array or object instead of a string. Undefined if there is none.
+ */
+export const repeatedParam = (query, names) =>
+  names.find(
+    (name) => query[name] !== undefined && typeof query[name] !== "string"
+  );
+
+/**
+ * Validate the `sort`, `page`, `limit` and `cursor` query parameters.
+ * Returns `{ error }` with a message for the client, or the parsed options.
+ * Without `page`, `limit` or `cursor` the whole list is returned; an empty
+ * `cursor` starts cursor pagination from the beginning.
+ */
+export const parseListQuery = (query) => {
+  const repeated = repeatedParam(query, ["sort", "page", "limit", "cursor"]);
+  if (repeated) {
+    return { error: `${repeated} must be given only once` };
+  }
+  const sortParam = query.sort || "id";
+  const descending = sortParam.startsWith("-");
+  const sortField = descending ? sortParam.slice(1) : sortParam;
+  if (!sortKeys[sortField]) {
+    return {
+      error: `Invalid sort field. Use one of: ${Object.keys(sortKeys).join(", ")}`,
+    };
+  }
+
+  const options = { sort: sortParam, sortField, descending };
+
+  if (query.limit !== undefined) {
+    const limit = parsePositiveInt(query.limit);
+    if (!limit || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    if (query.page !== undefined) {
+      return { error: "Use either page or cursor, not both" };
+    }
+    if (query.cursor === "") {
+      options.cursor = { start: true };
+    } else {
+      const position = decodeCursor(query.cursor);
+      if (!position || position.s !== sortParam) {
+        return { error: "Invalid cursor" };
+      }
+      options.cursor = position;
+    }
+    options.limit = options.limit || DEFAULT_LIMIT;
+  } else if (query.page !== undefined) {
+    const page = parsePositiveInt(query.page);
+    if (!page) {
+      return { error: "page must be a positive integer" };
+    }
+    options.page = page;
+    options.limit = options.limit || DEFAULT_LIMIT;
+  } else if (options.limit) {
+    options.page = 1;
+  }
+
+  return options;
+};
+
+/** Sort jokes by one of the `sort` fields, ties broken by id. */
+export const sortJokes = (items, sortField = "id", descending = false) => {
+  const key = sortKeys[sortField];
+  const direction = descending ? -1 : 1;
+  return [...items].sort(
+    (a, b) =>
+      direction * compareValues(key(a), key(b)) || compareValues(a.id, b.id)
+  );
+};
+
+/**
+ * Sort and slice `items` according to options from `parseListQuery`.
+ * Returns the page of items, the total count and the link targets
+ * (`first`/`prev`/`next`/`last` for pages, `next` for cursors) as query
+ * overrides, ready for `linkHeader`.
+ */
+export const paginate = (items, options) => {
+  const key = sortKeys[options.sortField];
+  const direction = options.descending ? -1 : 1;
+  const sorted = sortJokes(items, options.sortField, options.descending);
+  const total = sorted.length;
+
+  if (!options.limit) {
+    return { items: sorted, total, links: {} };
+  }
+
+  const { limit } = options;
+  const links = {};
+
+  if (options.cursor) {
+    const { start, v, id } = options.cursor;
+    const from = start
+      ? 0
+      : sorted.findIndex(
+          (item) =>
+            (direction * compareValues(key(item), v) ||
+              compareValues(item.id, id)) > 0
+        );
+    const pageItems = from === -1 ? [] : sorted.slice(from, from + limit);
+    const last = pageItems[pageItems.length - 1];
+    if (last && from + limit < total) {
+      links.next = {
+        cursor: encodeCursor({ s: options.sort, v: key(last), id: last.id }),
+      };
+    }
+    return { items: pageItems, total, links };
+  }
+
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const { page } = options;
+  const pageItems = sorted.slice((page - 1) * limit, page * limit);
+
+  links.first = { page: 1 };
+  if (page > 1) {
+    links.prev = { page: Math.min(page - 1, lastPage) };
+  }
+  if (page < lastPage) {
+    links.next = { page: page + 1 };
+  }
+  links.last = { page: lastPage };
+
+  return { items: pageItems, total, links };
+};
+
+/**
+ * Build an RFC 8288 `Link` header value from the links returned by
+ * `paginate`, keeping the request's other query parameters.
+ */
+export const linkHeader = (req, links) =>
+  Object.entries(links)
+    .map(([rel, overrides]) => {
+      const params = new URLSearchParams(req.query);
+      params.delete("key");
+      params.delete("page");
+      params.delete("cursor");
+      Object.entries(overrides).forEach(([name, value]) =>
+        params.set(name, value)
+      );
+      const url = `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}?${params}`;
+      return `<${url}>; rel="${rel}"`;
+    })
+    .join(", ");
@@ -0,0 +1,117 @@
+// Error responses as RFC 7807 problem details. Every error has a stable
+// `code` from the catalogue below; its status and title never change, so
+// clients can branch on the code and show `detail` to people.
+
+import { API_VERSION, isUnversioned } from "./versioning.js";
+
+export const PROBLEMS = {
+  invalid_parameter: { status: 400, title: "Invalid parameter" },
+  malformed_json: { status: 400, title: "Malformed JSON body" },
+  invalid_confirmation: {
+    status: 400,
+    title: "Invalid or expired confirmation token",
+  },
+  authentication_required: { status: 401, title: "API key required" },
+  invalid_api_key: { status: 401, title: "Invalid or expired API key" },
+  forbidden: { status: 403, title: "Forbidden" },
+  route_not_found: { status: 404, title: "Route not found" },
+  problem_not_found: { status: 404, title: "Problem type not found" },
+  joke_not_found: { status: 404, title: "Joke not found" },
+  joke_hidden: { status: 404, title: "Joke is hidden by the content filter" },
+  no_matching_jokes: { status: 404, title: "No jokes match these filters" },
+  trashed_joke_not_found: { status: 404, title: "Joke not found in trash" },
+  category_not_found: { status: 404, title: "Category not found" },
+  revision_not_found: { status: 404, title: "Revision not found" },
+  translation_not_found: { status: 404, title: "Translation not found" },
+  submission_not_found: { status: 404, title: "Submission not found" },
+  api_key_not_found: { status: 404, title: "API key not found" },
+  webhook_not_found: { status: 404, title: "Webhook not found" },
+  delivery_not_found: { status: 404, title: "Delivery not found" },
+  not_acceptable: { status: 406, title: "Not acceptable" },
+  duplicate_joke: { status: 409, title: "Joke duplicates an existing joke" },
+  translation_exists: { status: 409, title: "Translation already exists" },
+  original_language: {
+    status: 409,
+    title: "Joke is already in this language",
+  },
+  category_exists: { status: 409, title: "Category already exists" },
+  category_in_use: { status: 409, title: "Category still has jokes" },
+  category_missing: { status: 409, title: "Category no longer exists" },
+  api_key_revoked: { status: 409, title: "API key is revoked" },
+  api_key_expired: { status: 409, title: "API key has expired" },
+  submission_closed: {
+    status: 409,
+    title: "Submission has already been reviewed",
+  },
+  delivery_pending: { status: 409, title: "Delivery is still pending" },
+  precondition_failed: {
+    status: 412,
+    title: "Joke has changed since it was fetched; reload and retry",
+  },
+  payload_too_large: { status: 413, title: "Request body too large" },
+  unsupported_media_type: { status: 415, title: "Unsupported media type" },
+  validation_failed: { status: 422, title: "Validation failed" },
+  confirmation_required: { status: 428, title: "Confirmation required" },
+  rate_limited: { status: 429, title: "Too many requests" },
+  internal_error: { status: 500, title: "Internal server error" },
+};
+
+/** The `type` URI of a problem; it resolves to the catalogue entry. */
+export const problemType = (code) => `/${API_VERSION}/problems/${code}`;
+
+/**
+ * Answer with the problem `code`. `detail` explains this occurrence (the
+ * title is used when it adds nothing) and `extensions` adds members such
+ * as validation `errors`. Requests on the deprecated unversioned paths
+ * get the old `{ message, ...extensions }` body instead, so existing
+ * clients keep working until the sunset.
+ */
+export const sendProblem = (res, code, detail, extensions = {}) => {
+  const { status, title } = PROBLEMS[code];
+  res.status(status);
+  if (isUnversioned(res.req)) {
+    return res.json({ message: detail ?? title, ...extensions });
+  }
+  return res.type("application/problem+json").json({
+    type: problemType(code),
+    title,
+    status,
+    ...(detail !== undefined && { detail }),
+    instance: res.req.originalUrl.split("?")[0],
+    code,
+    ...extensions,
+  });
+};
+
+/** Fallback for requests no route matched. Mount after every route. */
+export const routeNotFound = (req, res) =>
+  sendProblem(res, "route_not_found", `No route for ${req.method} ${req.path}`);
+
+/**
+ * Central error handler: malformed or oversized bodies become their
+ * problems, anything else is logged and answered with a 500 that gives
+ * nothing away.
+ */
+export const problemHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendProblem(res, "malformed_json");
+  }
+  if (err.type === "entity.too.large") {
+    return sendProblem(
+      res,
+      "payload_too_large",
+      `Request bodies are limited to ${err.limit} bytes`
+    );
+  }
+  if (
+    err.type === "charset.unsupported" ||
+    err.type === "encoding.unsupported"
+  ) {
+    return sendProblem(res, "unsupported_media_type", err.message);
+  }
+  console.error(err);
+  sendProblem(res, "internal_error");
+};
@@ -0,0 +1,42 @@
+// Seedable pseudo-random helpers. With a seed, the same inputs always give
+// the same picks, which keeps UI tests and daily widgets deterministic.
+
+// FNV-1a: turn an arbitrary seed string into a 32-bit integer.
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for picking jokes.
+const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Returns a function yielding floats in [0, 1). Seeded generators are
+ * deterministic; without a seed this is `Math.random`.
+ */
+export const createRandom = (seed) =>
+  seed === undefined || seed === "" ? Math.random : mulberry32(hashSeed(seed));
+
+/**
+ * Pick `count` distinct items from `items` (partial Fisher-Yates shuffle).
+ * Returns fewer when there are not enough items.
+ */
+export const sample = (items, count, random = Math.random) => {
+  const pool = [...items];
+  const picks = Math.min(count, pool.length);
+  for (let i = 0; i < picks; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, picks);
+};
@@ -0,0 +1,118 @@
+import { clientOf } from "./auth.js";
+import { operationTypeOf } from "./graphql.js";
+import { sendProblem } from "./problems.js";
+
+const MINUTE_MS = 60 * 1000;
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+const GRAPHQL_PATH = /^(\/v\d+)?\/graphql\/?$/;
+
+// GraphQL clients POST queries too, so on /graphql only mutations count
+// as writes.
+const budgetOf = (req) => {
+  if (req.method === "POST" && GRAPHQL_PATH.test(req.path)) {
+    return operationTypeOf(req.body || {}) === "mutation" ? "write" : "read";
+  }
+  return READ_METHODS.includes(req.method) ? "read" : "write";
+};
+
+/**
+ * In-memory bucket store for the rate limiter. Any object with the same
+ * `get(key)` / `set(key, bucket, ttlMs)` methods can replace it, e.g. one
+ * backed by a shared cache when running several instances.
+ */
+export const createMemoryRateLimitStore = ({
+  sweepIntervalMs = MINUTE_MS,
+} = {}) => {
+  const buckets = new Map();
+
+  // Buckets left alone long enough are full again, so they can be dropped.
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach(({ expiresAt }, key) => {
+      if (expiresAt <= now) {
+        buckets.delete(key);
+      }
+    });
+  }, sweepIntervalMs).unref();
+
+  return {
+    get(key) {
+      const entry = buckets.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.bucket : undefined;
+    },
+    set(key, bucket, ttlMs) {
+      buckets.set(key, { bucket, expiresAt: Date.now() + ttlMs });
+    },
+  };
+};
+
+/**
+ * Token-bucket rate limiting. Each client gets one bucket for reads
+ * (GET/HEAD/OPTIONS, and GraphQL queries however they are sent) and one
+ * for writes; a bucket holds up to `perMinute`
+ * tokens and refills continuously at that rate. Clients with an API key are
+ * counted by key, everyone else by IP address. A limit of 0 turns that
+ * budget off.
+ *
+ * `limit` is the middleware. Responses carry `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` (seconds until the bucket is
+ * full again) and `RateLimit-Policy`; rejected requests get 429 with
+ * `Retry-After`. `consume(budget, client)` takes a token outside of
+ * Express, e.g. for WebSocket upgrades, and returns `{ allowed, headers }`.
+ */
+export const createRateLimiter = ({
+  store = createMemoryRateLimitStore(),
+  read = 120,
+  write = 30,
+}) => {
+  const budgets = { read, write };
+
+  const consume = (budget, client) => {
+    const capacity = budgets[budget];
+    if (!capacity) {
+      return { allowed: true, headers: {} };
+    }
+
+    const refillPerMs = capacity / MINUTE_MS;
+    const key = `${budget}:${client}`;
+    const now = Date.now();
+    const previous = store.get(key) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(
+      capacity,
+      previous.tokens + (now - previous.updatedAt) * refillPerMs
+    );
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    const msUntilFull = (capacity - left) / refillPerMs;
+    store.set(key, { tokens: left, updatedAt: now }, Math.ceil(msUntilFull));
+
+    return {
+      allowed,
+      headers: {
+        "RateLimit-Limit": String(capacity),
+        "RateLimit-Remaining": String(Math.floor(left)),
+        "RateLimit-Reset": String(Math.ceil(msUntilFull / 1000)),
+        "RateLimit-Policy": `${capacity};w=60`,
+        ...(!allowed && {
+          "Retry-After": String(Math.ceil((1 - left) / refillPerMs / 1000)),
+        }),
+      },
+    };
+  };
+
+  const limit = (req, res, next) => {
+    const budget = budgetOf(req);
+    const { allowed, headers } = consume(budget, clientOf(req));
+    res.set(headers);
+    if (!allowed) {
+      return sendProblem(
+        res,
+        "rate_limited",
+        `Too many ${budget} requests, please slow down`
+      );
+    }
+    next();
+  };
+
+  return { limit, consume };
+};
@@ -0,0 +1,145 @@
+// Jokes as plain text, XML, YAML or an HTML card page as well as JSON, for
+// chat bots, older clients and people following a shared link. Like the
+// CSV export, the serializers are hand-written: jokes are small, flat
+// objects and don't need a general-purpose library.
+
+export const REPRESENTATIONS = {
+  json: { contentTypes: ["application/json"] },
+  text: { contentTypes: ["text/plain"] },
+  xml: { contentTypes: ["application/xml", "text/xml"] },
+  yaml: {
+    contentTypes: ["application/yaml", "text/yaml", "application/x-yaml"],
+  },
+  html: { contentTypes: ["text/html"] },
+};
+
+// In order of preference, so clients accepting anything get JSON.
+const CONTENT_TYPES = Object.values(REPRESENTATIONS).flatMap(
+  ({ contentTypes }) => contentTypes
+);
+
+export const isRepresentation = (name) =>
+  typeof name === "string" && Object.hasOwn(REPRESENTATIONS, name);
+
+/**
+ * Representation to answer a request with: the one named by `requested`
+ * (the `format` query parameter) if it names one, otherwise the best match
+ * for the `Accept` header. Undefined when the client accepts none of them.
+ */
+export const representationOf = (req, requested) => {
+  if (isRepresentation(requested)) {
+    return requested;
+  }
+  const type = req.accepts(CONTENT_TYPES);
+  return Object.keys(REPRESENTATIONS).find(
+    (name) => type && REPRESENTATIONS[name].contentTypes.includes(type)
+  );
+};
+
+// Plain text is just the joke, one joke per line.
+const toText = (value) =>
+  [value]
+    .flat()
+    .map((joke) => `${joke.jokeText}\n`)
+    .join("");
+
+// Element names for the items of array fields; anything else is <item>.
+const XML_ITEM_NAMES = {
+  jokes: "joke",
+  flags: "flag",
+  possibleDuplicateOf: "id",
+};
+
+const escapeXml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[
+        char
+      ])
+  );
+
+const xmlElement = (name, value, indent) => {
+  const pad = "  ".repeat(indent);
+  if (value === null || value === undefined || value.length === 0) {
+    return `${pad}<${name}/>\n`;
+  }
+  if (Array.isArray(value)) {
+    const itemName = XML_ITEM_NAMES[name] ?? "item";
+    return `${pad}<${name}>\n${value
+      .map((item) => xmlElement(itemName, item, indent + 1))
+      .join("")}${pad}</${name}>\n`;
+  }
+  if (typeof value === "object") {
+    return `${pad}<${name}>\n${Object.entries(value)
+      .map(([key, field]) => xmlElement(key, field, indent + 1))
+      .join("")}${pad}</${name}>\n`;
+  }
+  return `${pad}<${name}>${escapeXml(value)}</${name}>\n`;
+};
+
+const toXml = (value) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement(
+    Array.isArray(value) ? "jokes" : "joke",
+    value,
+    0
+  )}`;
+
+// Strings are written as double-quoted scalars, which share JSON's escapes,
+// so no text can be mistaken for a number, a boolean or YAML syntax.
+const yamlScalar = (value) =>
+  typeof value === "string" ? JSON.stringify(value) : String(value ?? null);
+
+const isNested = (value) =>
+  value !== null && typeof value === "object" && Object.keys(value).length > 0;
+
+const yamlNode = (value, indent) => {
+  const pad = "  ".repeat(indent);
+  if (Array.isArray(value) && value.length > 0) {
+    return value.flatMap((item) => {
+      const [first, ...rest] = yamlNode(item, indent + 1);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  if (isNested(value)) {
+    return Object.entries(value).flatMap(([key, field]) => {
+      const [first, ...rest] = yamlNode(field, indent + 1);
+      return isNested(field)
+        ? [`${pad}${key}:`, first, ...rest]
+        : [`${pad}${key}: ${first.trimStart()}`];
+    });
+  }
+  if (Array.isArray(value)) {
+    return [`${pad}[]`];
+  }
+  if (value !== null && typeof value === "object") {
+    return [`${pad}{}`];
+  }
+  return [`${pad}${yamlScalar(value)}`];
+};
+
+const toYaml = (value) => `${yamlNode(value, 0).join("\n")}\n`;
+
+const SERIALIZERS = { text: toText, xml: toXml, yaml: toYaml };
+
+/**
+ * Answer with one joke or a list of jokes in `representation`. HTML is
+ * rendered from the `jokes` view; `title` heads the page.
+ */
+export const sendJokes = (res, representation, value, { title } = {}) => {
+  res.vary("Accept");
+  if (representation === "json") {
+    return res.json(value);
+  }
+  if (representation === "html") {
+    const req = res.req;
+    return res.render("jokes", {
+      jokes: [value].flat(),
+      single: !Array.isArray(value),
+      title,
+      url: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+    });
+  }
+  res.type(`${REPRESENTATIONS[representation].contentTypes[0]}; charset=utf-8`);
+  res.send(SERIALIZERS[representation](value));
+};
@@ -0,0 +1,155 @@
+// Per-joke revision history. Every stored version of a joke is kept as a
+// numbered snapshot; revision 1 is the joke as it was created (or as it was
+// when history tracking started).
+
+// Fields that belong to the joke's identity or lifecycle rather than its
+// content (vote tallies included); they are not compared in diffs and not touched by reverts.
+const META_FIELDS = [
+  "id",
+  "slug",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+  "possibleDuplicateOf",
+  "votes",
+];
+
+const revisionKey = (jokeId, revision) => `${jokeId}:${revision}`;
+
+const contentOf = (joke) =>
+  Object.fromEntries(
+    Object.entries(joke).filter(([field]) => !META_FIELDS.includes(field))
+  );
+
+// Word-level diff of two strings (LCS over whitespace-separated tokens).
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      ops.push({ op, text });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("delete", a[i++]);
+    } else {
+      push("insert", b[j++]);
+    }
+  }
+  a.slice(i).forEach((text) => push("delete", text));
+  b.slice(j).forEach((text) => push("insert", text));
+  return ops.filter(({ text }) => text !== "");
+};
+
+/**
+ * Compare the content of two revisions field by field. String fields also
+ * get a word-level `ops` list of equal/delete/insert runs.
+ */
+export const diffRevisions = (from, to) => {
+  const before = contentOf(from.joke);
+  const after = contentOf(to.joke);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changes = fields
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => {
+      const change = { field, before: before[field], after: after[field] };
+      if (
+        typeof before[field] === "string" &&
+        typeof after[field] === "string"
+      ) {
+        change.ops = diffWords(before[field], after[field]);
+      }
+      return change;
+    });
+  return { from: from.revision, to: to.revision, changes };
+};
+
+/**
+ * The content of a revision as joke input (the body of a PUT), so a revert
+ * is validated and stored like any other edit. Flags are left out: like an
+ * edit, the revert keeps the joke's current flags and adds any suggested for
+ * the restored text.
+ */
+export const revisionInput = ({ joke }) => ({
+  ...(joke.setup !== undefined
+    ? { setup: joke.setup, delivery: joke.delivery }
+    : { text: joke.jokeText }),
+  type: joke.jokeType,
+  ...(joke.lang !== undefined && { lang: joke.lang }),
+});
+
+export const createRevisions = ({ store }) => {
+  const revisions = store.collection("revisions");
+
+  const list = (jokeId) =>
+    revisions
+      .all()
+      .filter((revision) => String(revision.jokeId) === String(jokeId))
+      .sort((a, b) => a.revision - b.revision);
+
+  const snapshot = (joke, revision, actor) => ({
+    id: revisionKey(joke.id, revision),
+    jokeId: joke.id,
+    revision,
+    at: new Date().toISOString(),
+    actor,
+    joke,
+  });
+
+  return {
+    list,
+    get(jokeId, revision) {
+      return revisions.get(revisionKey(jokeId, revision));
+    },
+    /** Give every joke without history a first revision of its current state. */
+    backfill(jokes) {
+      const tracked = new Set(
+        revisions.all().map((revision) => String(revision.jokeId))
+      );
+      const missing = jokes.filter((joke) => !tracked.has(String(joke.id)));
+      if (missing.length > 0) {
+        revisions.insertMany(missing.map((joke) => snapshot(joke, 1, null)));
+      }
+    },
+    /** Store `joke` as the next revision, unless its content is unchanged. */
+    record(joke, actor) {
+      const history = list(joke.id);
+      const latest = history[history.length - 1];
+      if (
+        latest &&
+        JSON.stringify(contentOf(latest.joke)) ===
+          JSON.stringify(contentOf(joke))
+      ) {
+        return latest;
+      }
+      return revisions.insert(
+        snapshot(joke, latest ? latest.revision + 1 : 1, actor)
+      );
+    },
+  };
+};
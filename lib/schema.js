@@ -0,0 +1,726 @@
+import { SCOPES } from "./apiKeys.js";
+import { CONTENT_FLAGS } from "./contentFlags.js";
+import { LANG_PATTERN } from "./translations.js";
+import { VOTE_VALUES } from "./votes.js";
+import { SUBMISSION_STATUSES } from "./submissions.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+import { PROBLEMS, sendProblem } from "./problems.js";
+
+// Request and response schemas, written as OpenAPI schema objects so the same
+// definitions drive request validation and the Swagger docs.
+
+export const MAX_JOKE_LENGTH = 500;
+
+// Either `text` or both `setup` and `delivery` are needed too; that rule
+// spans fields, so it is checked by `textFields` in jokeFormat.js.
+export const jokeInputSchema = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    text: {
+      type: "string",
+      minLength: 1,
+      maxLength: MAX_JOKE_LENGTH,
+      description:
+        'The joke itself. Question-style text ("Why ...? Because ...") is split into setup and delivery automatically.',
+    },
+    setup: {
+      type: "string",
+      minLength: 1,
+      maxLength: MAX_JOKE_LENGTH,
+      description: "First part of a two-part joke, sent instead of `text`",
+    },
+    delivery: {
+      type: "string",
+      minLength: 1,
+      maxLength: MAX_JOKE_LENGTH,
+      description: "Punchline of a two-part joke, sent instead of `text`",
+    },
+    flags: {
+      type: "array",
+      items: { type: "string", enum: CONTENT_FLAGS },
+      description:
+        "Content flags. Left out, they are suggested from the text; an empty list clears them.",
+    },
+    lang: {
+      type: "string",
+      pattern: LANG_PATTERN,
+      description: "Language of the text (BCP 47 tag), `en` if left out",
+    },
+    type: {
+      type: "string",
+      description:
+        "Name of an existing category, see GET /categories (case-insensitive)",
+    },
+  },
+};
+
+// PATCH body: same fields, all optional, at least one required.
+export const jokePatchSchema = {
+  type: "object",
+  minProperties: 1,
+  properties: jokeInputSchema.properties,
+};
+
+export const jokeSchema = {
+  type: "object",
+  properties: {
+    id: {
+      oneOf: [{ type: "integer" }, { type: "string" }],
+      description: "Numeric id, or a UUID when JOKE_ID_MODE=uuid",
+    },
+    slug: { type: "string" },
+    jokeText: {
+      type: "string",
+      description: "Full text; for two-part jokes, setup and delivery joined",
+    },
+    setup: {
+      type: "string",
+      description: "Only on two-part jokes",
+    },
+    delivery: {
+      type: "string",
+      description: "Only on two-part jokes",
+    },
+    jokeType: { type: "string" },
+    flags: {
+      type: "array",
+      items: { type: "string", enum: CONTENT_FLAGS },
+      description: "Content flags; empty for jokes suitable for everyone",
+    },
+    lang: {
+      type: "string",
+      description:
+        "Language of the text served; the original language unless a translation was picked",
+    },
+    translatedFrom: {
+      type: "string",
+      description: "Original language, only when a translation was served",
+    },
+    votes: { $ref: "#/components/schemas/VoteTally" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+    deletedAt: {
+      type: "string",
+      format: "date-time",
+      description: "Set while the joke is in the trash",
+    },
+    possibleDuplicateOf: {
+      type: "array",
+      items: { oneOf: [{ type: "integer" }, { type: "string" }] },
+      description:
+        "Ids of similar jokes, set when DUPLICATE_POLICY=flag let a near-duplicate through",
+    },
+  },
+};
+
+export const MAX_CATEGORY_LENGTH = 40;
+
+export const categoryInputSchema = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: MAX_CATEGORY_LENGTH },
+  },
+};
+
+export const categoryMergeSchema = {
+  type: "object",
+  required: ["into"],
+  properties: {
+    into: {
+      type: "string",
+      minLength: 1,
+      description: "Name of the category that receives the jokes",
+    },
+  },
+};
+
+export const categorySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    jokeCount: { type: "integer" },
+  },
+};
+
+/**
+ * Copy of `schema` with `field` restricted to `values`. Used where the
+ * allowed values live in the store, such as joke types.
+ */
+export const withEnum = (schema, field, values) => ({
+  ...schema,
+  properties: {
+    ...schema.properties,
+    [field]: { ...schema.properties[field], enum: values },
+  },
+});
+
+export const apiKeyInputSchema = {
+  type: "object",
+  required: ["name", "scopes"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      maxLength: 60,
+      description: "Who or what the key is for",
+    },
+    scopes: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: SCOPES },
+      description: "Granted scopes; `admin` implies all others",
+    },
+    expiresAt: {
+      type: "string",
+      format: "date-time",
+      description: "When the key stops working; never if omitted",
+    },
+  },
+};
+
+export const webhookInputSchema = {
+  type: "object",
+  required: ["url", "events"],
+  properties: {
+    url: {
+      type: "string",
+      pattern: "^https?://\\S+$",
+      maxLength: 2000,
+      description: "Where deliveries are POSTed",
+    },
+    events: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+      description: "Events to deliver",
+    },
+    secret: {
+      type: "string",
+      minLength: 16,
+      maxLength: 200,
+      description: "Signing secret; generated if omitted",
+    },
+  },
+};
+
+export const webhookSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    url: { type: "string" },
+    events: {
+      type: "array",
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+    },
+    secret: {
+      type: "string",
+      description: "Only in the response that creates the subscription",
+    },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+export const webhookDeliverySchema = {
+  type: "object",
+  properties: {
+    id: { type: "string", format: "uuid" },
+    webhookId: { type: "string" },
+    event: { type: "string" },
+    payload: {
+      type: "object",
+      description: "The request body, as sent",
+      properties: {
+        id: { type: "string", format: "uuid" },
+        event: { type: "string" },
+        createdAt: { type: "string", format: "date-time" },
+        data: { type: "object" },
+      },
+    },
+    status: { type: "string", enum: ["pending", "delivered", "dead"] },
+    attempts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          at: { type: "string", format: "date-time" },
+          durationMs: { type: "integer" },
+          statusCode: { type: "integer" },
+          error: { type: "string" },
+        },
+      },
+    },
+    attemptsLeft: { type: "integer" },
+    nextAttemptAt: { type: "string", format: "date-time" },
+    deliveredAt: { type: "string", format: "date-time" },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+export const apiKeySchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    scopes: { type: "array", items: { type: "string", enum: SCOPES } },
+    createdAt: { type: "string", format: "date-time" },
+    expiresAt: { type: "string", format: "date-time", nullable: true },
+    revokedAt: { type: "string", format: "date-time", nullable: true },
+    rotatedFrom: { type: "string" },
+    key: {
+      type: "string",
+      description: "The key itself; only returned when it is created",
+    },
+  },
+};
+
+const actorSchema = {
+  type: "object",
+  nullable: true,
+  description: "API key that made the change (`master` for MASTER_KEY)",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+  },
+};
+
+export const revisionSchema = {
+  type: "object",
+  properties: {
+    jokeId: { oneOf: [{ type: "integer" }, { type: "string" }] },
+    revision: { type: "integer" },
+    at: { type: "string", format: "date-time" },
+    actor: actorSchema,
+    joke: { $ref: "#/components/schemas/Joke" },
+  },
+};
+
+export const revisionDiffSchema = {
+  type: "object",
+  properties: {
+    from: { type: "integer" },
+    to: { type: "integer" },
+    changes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          before: {},
+          after: {},
+          ops: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                op: { type: "string", enum: ["equal", "delete", "insert"] },
+                text: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const auditEntrySchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    at: { type: "string", format: "date-time" },
+    actor: actorSchema,
+    method: { type: "string" },
+    route: { type: "string" },
+    path: { type: "string" },
+    status: { type: "integer" },
+    target: {
+      type: "object",
+      nullable: true,
+      properties: {
+        type: { type: "string" },
+        id: { oneOf: [{ type: "integer" }, { type: "string" }] },
+      },
+    },
+    before: { nullable: true },
+    after: { nullable: true },
+  },
+};
+
+const importActions = ["create", "update", "unchanged", "duplicate", "invalid"];
+
+export const importReportSchema = {
+  type: "object",
+  properties: {
+    dryRun: { type: "boolean" },
+    format: { type: "string", enum: ["json", "ndjson", "csv"] },
+    summary: {
+      type: "object",
+      description: "Number of rows per action",
+      properties: Object.fromEntries(
+        importActions.map((action) => [action, { type: "integer" }])
+      ),
+    },
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          row: {
+            type: "integer",
+            description:
+              "Line number for NDJSON and CSV, position for a JSON array",
+          },
+          id: { oneOf: [{ type: "integer" }, { type: "string" }] },
+          action: { type: "string", enum: importActions },
+          duplicateOf: {
+            type: "object",
+            description: "The joke id or import row this row repeats",
+            properties: {
+              id: { oneOf: [{ type: "integer" }, { type: "string" }] },
+              row: { type: "integer" },
+              similarity: { type: "number" },
+            },
+          },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string" },
+                code: { type: "string" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// A translation has the text fields of a joke and nothing else; like a
+// joke, it needs either `text` or both `setup` and `delivery`.
+export const translationInputSchema = {
+  type: "object",
+  required: [],
+  properties: {
+    text: jokeInputSchema.properties.text,
+    setup: jokeInputSchema.properties.setup,
+    delivery: jokeInputSchema.properties.delivery,
+  },
+};
+
+export const translationSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string", description: "`{jokeId}:{lang}`" },
+    jokeId: { oneOf: [{ type: "integer" }, { type: "string" }] },
+    lang: { type: "string" },
+    jokeText: { type: "string" },
+    setup: { type: "string" },
+    delivery: { type: "string" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+export const similarJokeSchema = {
+  type: "object",
+  properties: {
+    id: { oneOf: [{ type: "integer" }, { type: "string" }] },
+    similarity: {
+      type: "number",
+      description: "Jaccard similarity of the normalized texts, 0-1",
+    },
+  },
+};
+
+export const duplicateClusterSchema = {
+  type: "object",
+  properties: {
+    similarity: {
+      type: "number",
+      description: "Lowest similarity between linked jokes in the cluster",
+    },
+    jokes: {
+      type: "array",
+      items: { $ref: "#/components/schemas/Joke" },
+    },
+  },
+};
+
+export const moderationInputSchema = {
+  type: "object",
+  required: [],
+  properties: {
+    reason: {
+      type: "string",
+      minLength: 1,
+      maxLength: 500,
+      description: "Why the moderator made the decision or edit",
+    },
+  },
+};
+
+export const submissionSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string", format: "uuid" },
+    status: { type: "string", enum: SUBMISSION_STATUSES },
+    jokeText: { type: "string" },
+    setup: { type: "string" },
+    delivery: { type: "string" },
+    jokeType: { type: "string" },
+    flags: {
+      type: "array",
+      items: { type: "string", enum: CONTENT_FLAGS },
+    },
+    lang: { type: "string" },
+    reason: {
+      type: "string",
+      description: "The moderator's reason for approving or rejecting",
+    },
+    jokeId: {
+      oneOf: [{ type: "integer" }, { type: "string" }],
+      description: "Id of the published joke, once approved",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+    reviewedAt: { type: "string", format: "date-time" },
+    possibleDuplicateOf: {
+      type: "array",
+      items: { oneOf: [{ type: "integer" }, { type: "string" }] },
+      description: "Moderators only: ids of similar jokes",
+    },
+    submittedBy: {
+      type: "object",
+      nullable: true,
+      description: "Moderators only: the API key used, null if anonymous",
+    },
+    reviewedBy: {
+      type: "object",
+      description: "Moderators only: the API key that reviewed it",
+    },
+    history: {
+      type: "array",
+      description: "Moderators only: what happened to the submission",
+      items: {
+        type: "object",
+        properties: {
+          action: {
+            type: "string",
+            enum: ["submitted", "edited", "approved", "rejected"],
+          },
+          by: { type: "object", nullable: true },
+          reason: { type: "string" },
+          at: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+};
+
+export const voteTallySchema = {
+  type: "object",
+  properties: {
+    up: { type: "integer" },
+    down: { type: "integer" },
+    score: { type: "integer", description: "Upvotes minus downvotes" },
+  },
+};
+
+export const voteInputSchema = {
+  type: "object",
+  required: ["vote"],
+  properties: {
+    vote: {
+      type: "string",
+      enum: Object.keys(VOTE_VALUES),
+      description: "`none` takes back an earlier vote",
+    },
+  },
+};
+
+export const voteResultSchema = {
+  type: "object",
+  properties: {
+    jokeId: { oneOf: [{ type: "integer" }, { type: "string" }] },
+    vote: { type: "string", enum: Object.keys(VOTE_VALUES) },
+    votes: { $ref: "#/components/schemas/VoteTally" },
+  },
+};
+
+// RFC 7807 problem details, the body of every error response under /v1.
+export const problemSchema = {
+  type: "object",
+  properties: {
+    type: {
+      type: "string",
+      format: "uri-reference",
+      description: "Problem type; GET it for the catalogue entry",
+    },
+    title: {
+      type: "string",
+      description: "Summary of the problem type, the same every time",
+    },
+    status: { type: "integer" },
+    detail: {
+      type: "string",
+      description: "What went wrong this time, when it adds to the title",
+    },
+    instance: { type: "string", description: "Path of the failed request" },
+    code: {
+      type: "string",
+      enum: Object.keys(PROBLEMS),
+      description: "Stable error code to branch on",
+    },
+  },
+};
+
+export const validationErrorSchema = {
+  allOf: [{ $ref: "#/components/schemas/Problem" }],
+  type: "object",
+  properties: {
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          code: {
+            type: "string",
+            enum: [
+              "required",
+              "type",
+              "minLength",
+              "maxLength",
+              "minItems",
+              "format",
+              "enum",
+              "pattern",
+              "conflict",
+            ],
+          },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const checkField = (field, rule, value) => {
+  if (rule.type === "array") {
+    // Form bodies send a single value as a plain (possibly comma-separated) string.
+    // An empty string is an empty list.
+    const items =
+      typeof value === "string"
+        ? value === ""
+          ? []
+          : value.split(",")
+        : value;
+    if (!Array.isArray(items)) {
+      return { field, code: "type", message: `${field} must be an array` };
+    }
+    if (rule.minItems !== undefined && items.length < rule.minItems) {
+      return {
+        field,
+        code: "minItems",
+        message: `${field} needs at least ${rule.minItems} item(s)`,
+      };
+    }
+    const checked = items.map((item) => checkField(field, rule.items, item));
+    const failed = checked.find((result) => result.code);
+    return failed || { value: [...new Set(checked.map((c) => c.value))] };
+  }
+  if (rule.type === "string" && typeof value !== "string") {
+    return { field, code: "type", message: `${field} must be a string` };
+  }
+  const text = value.trim();
+  if (rule.minLength !== undefined && text.length < rule.minLength) {
+    return { field, code: "minLength", message: `${field} must not be empty` };
+  }
+  if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+    return {
+      field,
+      code: "maxLength",
+      message: `${field} must be at most ${rule.maxLength} characters`,
+    };
+  }
+  if (rule.pattern !== undefined && !new RegExp(rule.pattern).test(text)) {
+    return {
+      field,
+      code: "pattern",
+      message: `${field} is not in the expected format`,
+    };
+  }
+  if (rule.format === "date-time") {
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      return {
+        field,
+        code: "format",
+        message: `${field} must be an ISO 8601 date-time`,
+      };
+    }
+    return { value: new Date(time).toISOString() };
+  }
+  if (rule.enum) {
+    const match = rule.enum.find(
+      (option) => option.toLowerCase() === text.toLowerCase()
+    );
+    if (!match) {
+      return {
+        field,
+        code: "enum",
+        message: `${field} must be one of: ${rule.enum.join(", ")}`,
+      };
+    }
+    return { value: match };
+  }
+  return { value: text };
+};
+
+/**
+ * Validate `body` against an object schema. String values are trimmed and
+ * enum values normalised to their canonical casing. With `partial`, required
+ * fields may be left out (PATCH) but at least one known field must be given.
+ * Returns `{ value, errors }`; `errors` is empty when the body is valid.
+ */
+export const validate = (schema, body = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+  Object.entries(schema.properties).forEach(([field, rule]) => {
+    if (body[field] === undefined) {
+      if (!partial && schema.required.includes(field)) {
+        errors.push({
+          field,
+          code: "required",
+          message: `${field} is required`,
+        });
+      }
+      return;
+    }
+    const result = checkField(field, rule, body[field]);
+    if (result.code) {
+      errors.push(result);
+    } else {
+      value[field] = result.value;
+    }
+  });
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({
+      field: Object.keys(schema.properties).join(","),
+      code: "required",
+      message: `Provide at least one of: ${Object.keys(schema.properties).join(
+        ", "
+      )}`,
+    });
+  }
+  return { value, errors };
+};
+
+// Respond with 422 and the list of problems when a request body is invalid.
+export const rejectInvalid = (res, errors) =>
+  sendProblem(res, "validation_failed", undefined, { errors });
@@ -0,0 +1,279 @@
+// In-process full-text index over `jokeText`. Jokes are tokenized, stemmed
+// and kept in an inverted index; queries are ranked with BM25 and fall back
+// to edit-distance matching so small typos still find results.
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by do for from had has have he her his i if in into is it its me my of on or she so that the their them they this to was we were what when who why will with you your".split(
+    " "
+  )
+);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 160;
+
+// Weights applied to a term's score depending on how it matched.
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.5, 1: 0.6, 2: 0.35 };
+
+const WORD_PATTERN = /[\p{L}\p{N}']+/gu;
+
+const step = (word, suffix, replacement = "", minStem = 3) =>
+  word.endsWith(suffix) && word.length - suffix.length >= minStem
+    ? word.slice(0, -suffix.length) + replacement
+    : undefined;
+
+/**
+ * A light English suffix stripper: enough to fold plurals, verb forms and
+ * the common derivational endings onto one stem. Not a full Porter stemmer.
+ */
+export const stem = (input) => {
+  let word = input.toLowerCase().replace(/'s$|'/g, "");
+  if (word.length <= 3) {
+    return word;
+  }
+
+  word =
+    step(word, "sses", "ss", 2) ??
+    step(word, "ies", "y", 2) ??
+    (word.endsWith("ss") || word.endsWith("us") ? word : step(word, "s")) ??
+    word;
+
+  const stripped =
+    step(word, "ingly") ??
+    step(word, "edly") ??
+    step(word, "ing") ??
+    step(word, "ed");
+  if (stripped) {
+    word = stripped;
+    // "stopped" -> "stop", "running" -> "run"
+    if (/([^aeiouslz])\1$/.test(word)) {
+      word = word.slice(0, -1);
+    }
+  }
+
+  word =
+    step(word, "ational", "ate") ??
+    step(word, "ation", "ate") ??
+    step(word, "fulness", "ful") ??
+    step(word, "ousness", "ous") ??
+    step(word, "iveness", "ive") ??
+    step(word, "ness") ??
+    step(word, "ment") ??
+    step(word, "ly") ??
+    word;
+
+  return word.replace(/e$/, "");
+};
+
+/** Split text into `{ word, stem, start, end }` tokens, stopwords excluded. */
+export const tokenize = (text = "") =>
+  [...String(text).matchAll(WORD_PATTERN)]
+    .map((match) => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }))
+    .filter(({ word }) => !STOPWORDS.has(word.toLowerCase()))
+    .map((token) => ({ ...token, stem: stem(token.word) }))
+    .filter(({ stem }) => stem.length > 0);
+
+// Optimal string alignment distance: Levenshtein plus adjacent
+// transpositions, so "teh" is one edit away from "the".
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const maxTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+
+/**
+ * Wrap every word of `text` whose stem is in `stems` in `<mark>` tags and
+ * trim long texts to a window around the first match. The rest of the text
+ * is HTML-escaped so the snippet can be rendered as-is.
+ */
+const highlight = (text, stems) => {
+  const matches = tokenize(text).filter((token) => stems.has(token.stem));
+  let from = 0;
+  let to = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    const anchor = matches.length > 0 ? matches[0].start : 0;
+    from = Math.max(0, anchor - SNIPPET_LENGTH / 4);
+    to = Math.min(text.length, from + SNIPPET_LENGTH);
+  }
+
+  let snippet = "";
+  let cursor = from;
+  matches
+    .filter((token) => token.start >= from && token.end <= to)
+    .forEach((token) => {
+      snippet += escapeHtml(text.slice(cursor, token.start));
+      snippet += `<mark>${escapeHtml(token.word)}</mark>`;
+      cursor = token.end;
+    });
+  snippet += escapeHtml(text.slice(cursor, to));
+
+  return `${from > 0 ? "…" : ""}${snippet}${to < text.length ? "…" : ""}`;
+};
+
+export const createSearchIndex = () => {
+  // stem -> Map(docKey -> term frequency)
+  const postings = new Map();
+  // docKey -> { joke, length, stems }
+  const documents = new Map();
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const key = String(id);
+    const doc = documents.get(key);
+    if (!doc) {
+      return;
+    }
+    doc.stems.forEach((stem) => {
+      const posting = postings.get(stem);
+      posting.delete(key);
+      if (posting.size === 0) {
+        postings.delete(stem);
+      }
+    });
+    totalLength -= doc.length;
+    documents.delete(key);
+  };
+
+  const add = (joke) => {
+    const key = String(joke.id);
+    remove(key);
+    const tokens = tokenize(joke.jokeText);
+    const frequencies = new Map();
+    tokens.forEach(({ stem }) =>
+      frequencies.set(stem, (frequencies.get(stem) || 0) + 1)
+    );
+    frequencies.forEach((tf, stem) => {
+      if (!postings.has(stem)) {
+        postings.set(stem, new Map());
+      }
+      postings.get(stem).set(key, tf);
+    });
+    documents.set(key, {
+      joke,
+      length: tokens.length,
+      stems: [...frequencies.keys()],
+    });
+    totalLength += tokens.length;
+  };
+
+  // Index terms a query term should match, with the weight of each match.
+  const expand = (term, isLast) => {
+    const expansions = new Map();
+    if (postings.has(term)) {
+      expansions.set(term, MATCH_WEIGHTS.exact);
+    }
+    const typos = maxTypos(term);
+    postings.forEach((_, candidate) => {
+      if (candidate === term) {
+        return;
+      }
+      let weight = 0;
+      if (isLast && term.length >= 2 && candidate.startsWith(term)) {
+        weight = MATCH_WEIGHTS.prefix;
+      }
+      if (typos > 0) {
+        const distance = editDistance(term, candidate, typos);
+        if (distance <= typos) {
+          weight = Math.max(weight, MATCH_WEIGHTS[distance]);
+        }
+      }
+      if (weight > 0) {
+        expansions.set(candidate, weight);
+      }
+    });
+    return expansions;
+  };
+
+  /**
+   * Rank indexed jokes against `query`. Returns up to `limit` results of
+   * `{ joke, score, snippet }`, best first. `filter` can exclude jokes
+   * before ranking (e.g. by type).
+   */
+  const search = (query, { limit = 10, filter = () => true } = {}) => {
+    const terms = [...new Set(tokenize(query).map(({ stem }) => stem))];
+    if (terms.length === 0 || documents.size === 0) {
+      return [];
+    }
+    const averageLength = totalLength / documents.size || 1;
+    const scores = new Map();
+    const matchedStems = new Map();
+
+    terms.forEach((term, index) => {
+      expand(term, index === terms.length - 1).forEach((weight, indexTerm) => {
+        const posting = postings.get(indexTerm);
+        const idf = Math.log(
+          1 + (documents.size - posting.size + 0.5) / (posting.size + 0.5)
+        );
+        posting.forEach((tf, key) => {
+          const { length } = documents.get(key);
+          const bm25 =
+            (idf * tf * (BM25_K1 + 1)) /
+            (tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength));
+          scores.set(key, (scores.get(key) || 0) + weight * bm25);
+          if (!matchedStems.has(key)) {
+            matchedStems.set(key, new Set());
+          }
+          matchedStems.get(key).add(indexTerm);
+        });
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([key, score]) => ({ key, score, joke: documents.get(key).joke }))
+      .filter(({ joke }) => filter(joke))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ key, score, joke }) => ({
+        joke,
+        score: Math.round(score * 1000) / 1000,
+        snippet: highlight(joke.jokeText, matchedStems.get(key)),
+      }));
+  };
+
+  const clear = () => {
+    postings.clear();
+    documents.clear();
+    totalLength = 0;
+  };
+
+  return { add, remove, clear, search };
+};
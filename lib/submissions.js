@@ -0,0 +1,121 @@
+// Jokes sent in by the public wait in a moderation queue until a
+// moderator approves or rejects them; only approved submissions become
+// jokes, so the read routes never see anything else. Each submission keeps
+// a history of what happened to it and why.
+
+import { randomUUID } from "crypto";
+
+export const SUBMISSION_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * What a submitter may see of their submission: its text, status and the
+ * moderator's reason, but not who reviewed it or the moderation history.
+ */
+export const publicSubmission = ({
+  submittedBy,
+  reviewedBy,
+  history,
+  possibleDuplicateOf,
+  ...submission
+}) => submission;
+
+export const createSubmissions = ({ store }) => {
+  const submissions = store.collection("submissions");
+
+  const record = (submission, entry, changes) => {
+    const at = new Date().toISOString();
+    const updated = {
+      ...submission,
+      ...changes,
+      updatedAt: at,
+      history: [...submission.history, { ...entry, at }],
+    };
+    submissions.update(submission.id, updated);
+    return updated;
+  };
+
+  return {
+    /** Submissions with the given status (all without), oldest first. */
+    list({ status } = {}) {
+      return submissions
+        .all()
+        .filter((submission) => !status || submission.status === status)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+    get(id) {
+      return submissions.get(id);
+    },
+    /**
+     * Queue a new submission. `joke` holds the joke fields as they would be
+     * published (`jokeText` and friends, `jokeType`, `flags`, `lang`, and
+     * `possibleDuplicateOf` for moderators).
+     */
+    create(joke, { submittedBy }) {
+      const createdAt = new Date().toISOString();
+      const submission = {
+        id: randomUUID(),
+        status: "pending",
+        ...joke,
+        submittedBy,
+        createdAt,
+        history: [{ action: "submitted", by: submittedBy, at: createdAt }],
+      };
+      submissions.insert(submission);
+      return submission;
+    },
+    /** Store a pending submission whose joke fields a moderator changed. */
+    edit(edited, { by, reason }) {
+      return record(edited, { action: "edited", by, reason }, {});
+    },
+    approve(submission, { jokeId, by, reason }) {
+      return record(
+        submission,
+        { action: "approved", by, reason },
+        {
+          status: "approved",
+          jokeId,
+          reason,
+          reviewedBy: by,
+          reviewedAt: new Date().toISOString(),
+        }
+      );
+    },
+    /**
+     * Move the pending submissions of category `from` to `to`, as renaming,
+     * merging or reassigning a category does with its jokes. Returns the
+     * moved submissions.
+     */
+    moveCategory(from, to, { by }) {
+      return submissions
+        .all()
+        .filter(
+          (submission) =>
+            submission.status === "pending" &&
+            (submission.jokeType || "").toLowerCase() === from.toLowerCase()
+        )
+        .map((submission) =>
+          record(
+            submission,
+            {
+              action: "recategorized",
+              by,
+              reason: `Category "${from}" is now "${to}"`,
+            },
+            { jokeType: to }
+          )
+        );
+    },
+    reject(submission, { by, reason }) {
+      return record(
+        submission,
+        { action: "rejected", by, reason },
+        {
+          status: "rejected",
+          reason,
+          reviewedBy: by,
+          reviewedAt: new Date().toISOString(),
+        }
+      );
+    },
+  };
+};
@@ -0,0 +1,165 @@
+// Translations of jokes into other languages. Every joke has an original
+// `lang`; translations hang off the joke id and carry their own text (and
+// setup/delivery for two-part jokes). Read routes pick the language to
+// serve from `?lang=` or `Accept-Language`.
+
+export const DEFAULT_LANG = "en";
+
+// BCP 47 tags as clients send them: a 2-3 letter language, then optional
+// script/region/variant subtags ("pt-BR", "zh-Hant-TW").
+export const LANG_PATTERN = "^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$";
+
+export const normalizeLang = (tag) => tag.toLowerCase();
+
+const translationKey = (jokeId, lang) => `${jokeId}:${lang}`;
+
+/** Language ranges from a comma-separated list such as "de-CH,fr". */
+export const langList = (value) =>
+  value
+    .split(",")
+    .map((tag) => normalizeLang(tag.trim()))
+    .filter(Boolean);
+
+/**
+ * Language ranges the client asked for, most preferred first: the `lang`
+ * query parameter (comma-separated) if given, otherwise `Accept-Language`
+ * ordered by q-value. `*` and ranges with q=0 are dropped, since the
+ * original language is always the last resort anyway.
+ */
+export const requestedLangs = (req) => {
+  if (typeof req.query.lang === "string" && req.query.lang.trim()) {
+    return langList(req.query.lang);
+  }
+  return (req.get("accept-language") || "")
+    .split(",")
+    .map((part, position) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+        .find(Boolean);
+      return {
+        tag: normalizeLang(tag.trim()),
+        q: q ? Number(q[1]) : 1,
+        position,
+      };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.position - b.position)
+    .map(({ tag }) => tag);
+};
+
+// "de-ch-1996" -> ["de-ch-1996", "de-ch", "de"] (RFC 4647 lookup).
+const truncations = (tag) =>
+  tag
+    .split("-")
+    .map((_, i, subtags) => subtags.slice(0, subtags.length - i).join("-"));
+
+/**
+ * Pick the version of `joke` to serve. For each requested range in order,
+ * the range and then ever shorter prefixes of it are tried against the
+ * joke's own language and its translations; the first hit wins. Without a
+ * hit the joke is served in its original language.
+ *
+ * Returns the joke with its text fields (and `lang`) replaced by the
+ * chosen translation's; `translatedFrom` names the original language when
+ * a translation was used.
+ */
+export const localize = (joke, translations, langs) => {
+  const original = joke.lang || DEFAULT_LANG;
+  for (const range of langs) {
+    for (const tag of truncations(range)) {
+      if (tag === original) {
+        return joke;
+      }
+      const translation = translations.find((t) => t.lang === tag);
+      if (translation) {
+        const { setup, delivery, ...rest } = joke;
+        return {
+          ...rest,
+          jokeText: translation.jokeText,
+          ...(translation.setup !== undefined && {
+            setup: translation.setup,
+            delivery: translation.delivery,
+          }),
+          lang: translation.lang,
+          translatedFrom: original,
+        };
+      }
+    }
+  }
+  return joke;
+};
+
+// Mark every stored joke without a language as English, the language of
+// the original catalogue. Run once at startup, like slug backfilling.
+export const backfillLangs = (jokes) => {
+  jokes
+    .all()
+    .filter((joke) => joke.lang === undefined)
+    .forEach((joke) => {
+      jokes.update(joke.id, { ...joke, lang: DEFAULT_LANG });
+    });
+};
+
+export const createTranslations = ({ store }) => {
+  const translations = store.collection("translations");
+
+  const list = (jokeId) =>
+    translations
+      .all()
+      .filter((translation) => String(translation.jokeId) === String(jokeId))
+      .sort((a, b) => a.lang.localeCompare(b.lang));
+
+  return {
+    list,
+    /** Translations grouped by joke id, for localizing many jokes at once. */
+    byJoke() {
+      const grouped = new Map();
+      translations.all().forEach((translation) => {
+        const key = String(translation.jokeId);
+        if (!grouped.has(key)) {
+          grouped.set(key, []);
+        }
+        grouped.get(key).push(translation);
+      });
+      return grouped;
+    },
+    all() {
+      return translations.all();
+    },
+    get(jokeId, lang) {
+      return translations.get(translationKey(jokeId, lang));
+    },
+    /** Create or replace the translation of a joke into `lang`. */
+    put(jokeId, lang, fields) {
+      const id = translationKey(jokeId, lang);
+      const existing = translations.get(id);
+      const now = new Date().toISOString();
+      const translation = {
+        id,
+        jokeId,
+        lang,
+        ...fields,
+        createdAt: existing ? existing.createdAt : now,
+        ...(existing && { updatedAt: now }),
+      };
+      if (existing) {
+        translations.update(id, translation);
+      } else {
+        translations.insert(translation);
+      }
+      return translation;
+    },
+    remove(jokeId, lang) {
+      return translations.remove(translationKey(jokeId, lang));
+    },
+    /** Drop every translation of the given jokes, e.g. once they are purged. */
+    removeForJokes(jokeIds) {
+      const purged = new Set(jokeIds.map(String));
+      translations
+        .all()
+        .filter((translation) => purged.has(String(translation.jokeId)))
+        .forEach((translation) => translations.remove(translation.id));
+    },
+  };
+};
@@ -0,0 +1,121 @@
+import { randomBytes } from "crypto";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIRM_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * A view of the jokes collection that hides soft-deleted jokes. Reads skip
+ * anything with a `deletedAt` marker; writes go straight to the underlying
+ * collection. Everything that serves jokes to clients works on this view.
+ */
+export const withoutDeleted = (collection) => {
+  const all = () => collection.all().filter((joke) => !joke.deletedAt);
+  return {
+    ...collection,
+    all,
+    get(id) {
+      const joke = collection.get(id);
+      return joke && !joke.deletedAt ? joke : undefined;
+    },
+    count() {
+      return all().length;
+    },
+  };
+};
+
+/**
+ * Soft deletion on top of the full jokes collection (trashed jokes
+ * included). Trashed jokes are purged for good once they are older than
+ * `retentionDays`.
+ *
+ * Emptying the whole catalogue needs a confirmation token: the first
+ * request gets a short-lived token bound to the caller's credential, and
+ * only a second request presenting it goes through.
+ *
+ * `onPurge(ids)` is called whenever jokes are deleted for good, so data
+ * kept elsewhere about them can go too.
+ */
+export const createTrash = ({ jokes, retentionDays, onPurge = () => {} }) => {
+  const confirmTokens = new Map();
+
+  const trashed = () => jokes.all().filter((joke) => joke.deletedAt);
+
+  const moveToTrash = (joke, now) => {
+    const deleted = { ...joke, deletedAt: now };
+    jokes.update(joke.id, deleted);
+    return deleted;
+  };
+
+  return {
+    list() {
+      return trashed();
+    },
+    get(id) {
+      const joke = jokes.get(id);
+      return joke && joke.deletedAt ? joke : undefined;
+    },
+    trash(joke) {
+      return moveToTrash(joke, new Date().toISOString());
+    },
+    /** Trash every live joke; returns the trashed jokes. */
+    trashAll() {
+      const now = new Date().toISOString();
+      return jokes
+        .all()
+        .filter((joke) => !joke.deletedAt)
+        .map((joke) => moveToTrash(joke, now));
+    },
+    /**
+     * Bring a joke back. `revise` adjusts it before it is stored again,
+     * e.g. to update its duplicate flag.
+     */
+    restore(id, revise = (joke) => joke) {
+      const { deletedAt, ...rest } = jokes.get(id);
+      const joke = revise({ ...rest, updatedAt: new Date().toISOString() });
+      jokes.update(joke.id, joke);
+      return joke;
+    },
+    purge(id) {
+      const removed = jokes.remove(id);
+      onPurge([id]);
+      return removed;
+    },
+    purgeAll() {
+      const ids = trashed().map((joke) => joke.id);
+      ids.forEach((id) => jokes.remove(id));
+      onPurge(ids);
+      return ids.length;
+    },
+    /** Permanently delete jokes trashed more than `retentionDays` ago. */
+    purgeExpired(now = Date.now()) {
+      const cutoff = now - retentionDays * DAY_MS;
+      const expired = trashed().filter(
+        (joke) => Date.parse(joke.deletedAt) <= cutoff
+      );
+      expired.forEach((joke) => jokes.remove(joke.id));
+      onPurge(expired.map((joke) => joke.id));
+      return expired.length;
+    },
+    issueConfirmToken(credentialId) {
+      confirmTokens.forEach((entry, token) => {
+        if (entry.expiresAt <= Date.now()) {
+          confirmTokens.delete(token);
+        }
+      });
+      const token = randomBytes(16).toString("hex");
+      const expiresAt = Date.now() + CONFIRM_TTL_MS;
+      confirmTokens.set(token, { credentialId, expiresAt });
+      return { token, expiresAt: new Date(expiresAt).toISOString() };
+    },
+    /** Check a confirmation token; each token works only once. */
+    consumeConfirmToken(token, credentialId) {
+      const entry = confirmTokens.get(token);
+      confirmTokens.delete(token);
+      return Boolean(
+        entry &&
+          entry.credentialId === credentialId &&
+          entry.expiresAt > Date.now()
+      );
+    },
+  };
+};
@@ -0,0 +1,37 @@
+// The API lives under /v1. The unversioned paths it used to have keep
+// working as deprecated aliases of the same routes until their sunset.
+
+export const API_VERSION = "v1";
+
+// When /v1 arrived and the unversioned paths became aliases.
+export const UNVERSIONED_DEPRECATED_AT = new Date("2026-10-19T00:00:00Z");
+
+const PREFIX = `/${API_VERSION}`;
+
+/** Whether a request came in on an unversioned (deprecated) path. */
+export const isUnversioned = (req) => {
+  const path = req.originalUrl.split("?")[0];
+  return path !== PREFIX && !path.startsWith(`${PREFIX}/`);
+};
+
+/**
+ * Middleware for the unversioned aliases. It announces the deprecation
+ * (RFC 9745), the date the aliases stop working (RFC 8594) and the
+ * versioned successor of the requested URL. Requests under /v1 only get
+ * here when no versioned route matched, and are left alone.
+ */
+export const deprecatedAlias =
+  ({ deprecatedAt, sunsetAt }) =>
+  (req, res, next) => {
+    if (isUnversioned(req)) {
+      res.set({
+        Deprecation: `@${Math.floor(deprecatedAt.getTime() / 1000)}`,
+        Sunset: sunsetAt.toUTCString(),
+      });
+      res.append(
+        "Link",
+        `<${PREFIX}${req.originalUrl}>; rel="successor-version"`
+      );
+    }
+    next();
+  };
@@ -0,0 +1,177 @@
+// Up- and downvotes on jokes. Every client (API key, or IP address for
+// anonymous callers) has at most one vote per joke; voting again replaces
+// it. Jokes carry their all-time tallies in `votes`, while rankings are
+// worked out from the individual votes.
+
+import { createHash } from "crypto";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wilson interval at 95% confidence.
+const Z = 1.96;
+
+export const VOTE_VALUES = { up: 1, down: -1, none: 0 };
+
+export const RANKING_PERIODS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  year: 365 * DAY_MS,
+  all: Infinity,
+};
+
+export const emptyTally = () => ({ up: 0, down: 0, score: 0 });
+
+const voteKey = (jokeId, client) => `${jokeId}:${client}`;
+
+// Votes are kept per client, but the client's IP address or key id is
+// not stored as such.
+const hashClient = (client) =>
+  createHash("sha256").update(client).digest("base64url").slice(0, 22);
+
+const withVote = (tally, value, sign) => {
+  const up = tally.up + (value === 1 ? sign : 0);
+  const down = tally.down + (value === -1 ? sign : 0);
+  return { up, down, score: up - down };
+};
+
+/**
+ * Lower bound of the Wilson score interval for the share of upvotes: how
+ * good a joke is at least, given how few votes it may have. Counts may be
+ * fractional, which is how older votes weigh less.
+ */
+const wilson = (up, total) => {
+  if (total === 0) {
+    return 0;
+  }
+  const share = up / total;
+  const z2 = Z * Z;
+  return (
+    (share +
+      z2 / (2 * total) -
+      Z * Math.sqrt((share * (1 - share) + z2 / (4 * total)) / total)) /
+    (1 + z2 / total)
+  );
+};
+
+export const createVotes = ({ store }) => {
+  const votes = store.collection("votes");
+
+  const forJoke = (jokeId) =>
+    votes.all().filter((vote) => String(vote.jokeId) === String(jokeId));
+
+  return {
+    forJoke,
+    all() {
+      return votes.all();
+    },
+    /**
+     * Record `client`'s vote ("up", "down" or "none" to take it back) on
+     * `joke`. Returns the joke's new tallies, and whether anything changed.
+     */
+    cast(joke, client, vote) {
+      const id = voteKey(joke.id, hashClient(client));
+      const value = VOTE_VALUES[vote];
+      const previous = votes.get(id);
+      const tally = joke.votes || emptyTally();
+      if ((previous ? previous.value : 0) === value) {
+        return { votes: tally, changed: false };
+      }
+      const now = new Date().toISOString();
+      if (previous) {
+        votes.update(id, { ...previous, value, updatedAt: now });
+      } else {
+        votes.insert({ id, jokeId: joke.id, value, createdAt: now });
+      }
+      return {
+        votes: withVote(
+          previous ? withVote(tally, previous.value, -1) : tally,
+          value,
+          1
+        ),
+        changed: true,
+      };
+    },
+    /** Drop every vote on the given jokes, e.g. once they are purged. */
+    removeForJokes(jokeIds) {
+      const purged = new Set(jokeIds.map(String));
+      votes
+        .all()
+        .filter((vote) => purged.has(String(vote.jokeId)))
+        .forEach((vote) => votes.remove(vote.id));
+    },
+    /**
+     * Rank `jokes` by the votes cast on them within `period` (a key of
+     * RANKING_PERIODS). Each vote weighs half as much for every half
+     * period that has passed since it was cast, and the weighted counts
+     * are scored with the Wilson lower bound, so a joke needs both recent
+     * and consistent approval to rank high. Jokes without votes in the
+     * period are left out.
+     *
+     * Returns `{ joke, up, down, rank }`, best first; `up` and `down`
+     * count the period's votes without weighting.
+     */
+    ranking(jokes, { period, now = Date.now() }) {
+      const length = RANKING_PERIODS[period];
+      const halfLife = length / 2;
+      const counts = new Map();
+      votes.all().forEach((vote) => {
+        const age = now - Date.parse(vote.updatedAt || vote.createdAt);
+        if (vote.value === 0 || age > length) {
+          return;
+        }
+        const weight = Number.isFinite(halfLife)
+          ? 0.5 ** (Math.max(age, 0) / halfLife)
+          : 1;
+        const key = String(vote.jokeId);
+        const count = counts.get(key) || {
+          up: 0,
+          down: 0,
+          weightedUp: 0,
+          weightedTotal: 0,
+        };
+        if (vote.value === 1) {
+          count.up++;
+          count.weightedUp += weight;
+        } else {
+          count.down++;
+        }
+        count.weightedTotal += weight;
+        counts.set(key, count);
+      });
+
+      return jokes
+        .filter((joke) => counts.has(String(joke.id)))
+        .map((joke) => {
+          const { up, down, weightedUp, weightedTotal } = counts.get(
+            String(joke.id)
+          );
+          return {
+            joke,
+            up,
+            down,
+            rank: Math.round(wilson(weightedUp, weightedTotal) * 10000) / 10000,
+          };
+        })
+        .sort(
+          (a, b) =>
+            b.rank - a.rank ||
+            b.up - b.down - (a.up - a.down) ||
+            String(a.joke.id).localeCompare(String(b.joke.id), undefined, {
+              numeric: true,
+            })
+        );
+    },
+  };
+};
+
+// Give every stored joke without tallies empty ones. Run once at startup,
+// like slug backfilling.
+export const backfillVotes = (jokes) => {
+  jokes
+    .all()
+    .filter((joke) => joke.votes === undefined)
+    .forEach((joke) => {
+      jokes.update(joke.id, { ...joke, votes: emptyTally() });
+    });
+};
@@ -0,0 +1,289 @@
+// Outgoing webhooks. A subscription names a URL and the events it wants;
+// every matching event becomes a delivery, POSTed as JSON and signed with
+// the subscription's secret. Failed deliveries are retried with
+// exponential backoff and end up in the dead-letter list once they run out
+// of attempts. Pending deliveries survive restarts.
+
+import { createHmac, randomBytes, randomUUID } from "crypto";
+
+export const WEBHOOK_EVENTS = [
+  "joke.created",
+  "joke.updated",
+  "joke.deleted",
+  "catalogue.cleared",
+];
+
+// Sent only by the test route, to check a receiver is set up right.
+const TEST_EVENT = "webhook.test";
+
+// Finished deliveries kept in the log; dead ones are kept until they are
+// redelivered or their subscription is deleted.
+const DELIVERY_LOG_SIZE = 1000;
+
+/**
+ * `X-Webhook-Signature` for a request body: the Unix timestamp and the hex
+ * HMAC-SHA256 of `${timestamp}.${body}` under the subscription secret.
+ * Receivers recompute it, and should refuse old timestamps so a captured
+ * request can't be replayed.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Subscriptions without their secret, which is only shown on creation.
+const toPublic = ({ secret, ...subscription }) => subscription;
+
+const byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+export const createWebhooks = ({
+  store,
+  maxAttempts = 6,
+  retryBaseMs = 1000,
+  timeoutMs = 5000,
+  fetch = globalThis.fetch,
+}) => {
+  const subscriptions = store.collection("webhooks");
+  const deliveries = store.collection("webhookDeliveries");
+  const timers = new Map();
+
+  const prune = () => {
+    deliveries
+      .all()
+      .filter((delivery) => delivery.status === "delivered")
+      .sort(byNewest)
+      .slice(DELIVERY_LOG_SIZE)
+      .forEach((delivery) => deliveries.remove(delivery.id));
+  };
+
+  const send = async (subscription, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "joke-api-webhooks",
+          "X-Webhook-Id": subscription.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Signature": signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          ),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await response.arrayBuffer().catch(() => {});
+      return { ok: response.ok, statusCode: response.status };
+    } catch (err) {
+      return {
+        ok: false,
+        error:
+          err.name === "TimeoutError"
+            ? `No response within ${timeoutMs} ms`
+            : err.cause?.message || err.message,
+      };
+    }
+  };
+
+  const attempt = async (id) => {
+    const delivery = deliveries.get(id);
+    const subscription = delivery && subscriptions.get(delivery.webhookId);
+    if (!subscription || delivery.status !== "pending") {
+      return;
+    }
+    const startedAt = new Date();
+    const { ok, statusCode, error } = await send(subscription, delivery);
+    // The subscription may have been deleted while the request was out.
+    const current = deliveries.get(id);
+    if (!current) {
+      return;
+    }
+    const { nextAttemptAt, ...rest } = current;
+    const attempts = [
+      ...current.attempts,
+      {
+        at: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        ...(statusCode !== undefined && { statusCode }),
+        ...(error && { error }),
+      },
+    ];
+    const attemptsLeft = current.attemptsLeft - 1;
+    let updated;
+    if (ok) {
+      updated = {
+        ...rest,
+        attempts,
+        attemptsLeft,
+        status: "delivered",
+        deliveredAt: new Date().toISOString(),
+      };
+    } else if (attemptsLeft <= 0) {
+      updated = { ...rest, attempts, attemptsLeft, status: "dead" };
+    } else {
+      const retry = maxAttempts - attemptsLeft - 1;
+      updated = {
+        ...rest,
+        attempts,
+        attemptsLeft,
+        nextAttemptAt: new Date(
+          Date.now() + retryBaseMs * 2 ** retry
+        ).toISOString(),
+      };
+    }
+    deliveries.update(id, updated);
+    if (updated.status === "pending") {
+      schedule(updated);
+    } else {
+      prune();
+    }
+  };
+
+  const schedule = (delivery) => {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id).catch((err) => {
+        // Something other than the request failed, e.g. saving the result.
+        // Leave the delivery pending and try it again after a while.
+        console.error(`Webhook delivery ${delivery.id} failed:`, err);
+        const current = deliveries.get(delivery.id);
+        if (current?.status === "pending") {
+          schedule({
+            ...current,
+            nextAttemptAt: new Date(
+              Date.now() + retryBaseMs * 2 ** current.attempts.length
+            ).toISOString(),
+          });
+        }
+      });
+    }, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()));
+    timer.unref();
+    timers.set(delivery.id, timer);
+  };
+
+  const enqueue = (subscription, event, payload) => {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: randomUUID(),
+      webhookId: subscription.id,
+      event,
+      payload,
+      status: "pending",
+      attempts: [],
+      attemptsLeft: maxAttempts,
+      createdAt: now,
+      nextAttemptAt: now,
+    };
+    deliveries.insert(delivery);
+    schedule(delivery);
+    return delivery;
+  };
+
+  const payloadFor = (event, data) => ({
+    id: randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  });
+
+  return {
+    list() {
+      return subscriptions.all().map(toPublic);
+    },
+    get(id) {
+      const subscription = subscriptions.get(id);
+      return subscription && toPublic(subscription);
+    },
+    /**
+     * Register a subscription. Without a `secret` one is generated; the
+     * returned record is the only one that includes it.
+     */
+    create({ url, events, secret }) {
+      const subscription = {
+        id: randomBytes(6).toString("hex"),
+        url,
+        events,
+        secret: secret || `whsec_${randomBytes(24).toString("base64url")}`,
+        createdAt: new Date().toISOString(),
+      };
+      subscriptions.insert(subscription);
+      return subscription;
+    },
+    /** Delete a subscription and its deliveries, pending ones included. */
+    remove(id) {
+      deliveries
+        .all()
+        .filter((delivery) => delivery.webhookId === id)
+        .forEach((delivery) => {
+          clearTimeout(timers.get(delivery.id));
+          timers.delete(delivery.id);
+          deliveries.remove(delivery.id);
+        });
+      return subscriptions.remove(id);
+    },
+    /** Queue `event` for every subscription that asked for it. */
+    dispatch(event, data) {
+      const payload = payloadFor(event, data);
+      subscriptions
+        .all()
+        .filter((subscription) => subscription.events.includes(event))
+        .forEach((subscription) => enqueue(subscription, event, payload));
+    },
+    /** Queue a `webhook.test` event for one subscription. */
+    test(id) {
+      const subscription = subscriptions.get(id);
+      return enqueue(
+        subscription,
+        TEST_EVENT,
+        payloadFor(TEST_EVENT, { webhookId: id })
+      );
+    },
+    /** Deliveries of one subscription, newest first. */
+    deliveries(webhookId, { status } = {}) {
+      return deliveries
+        .all()
+        .filter(
+          (delivery) =>
+            delivery.webhookId === webhookId &&
+            (!status || delivery.status === status)
+        )
+        .sort(byNewest);
+    },
+    getDelivery(id) {
+      return deliveries.get(id);
+    },
+    /** Deliveries that ran out of attempts, newest first. */
+    deadLetters() {
+      return deliveries
+        .all()
+        .filter((delivery) => delivery.status === "dead")
+        .sort(byNewest);
+    },
+    /** Queue a finished delivery again, with a fresh set of attempts. */
+    redeliver(id) {
+      const delivery = {
+        ...deliveries.get(id),
+        status: "pending",
+        attemptsLeft: maxAttempts,
+        nextAttemptAt: new Date().toISOString(),
+      };
+      deliveries.update(id, delivery);
+      schedule(delivery);
+      return delivery;
+    },
+    /** Pick up deliveries that were still pending when the server stopped. */
+    resume() {
+      deliveries
+        .all()
+        .filter((delivery) => delivery.status === "pending")
+        .forEach(schedule);
+    },
+  };
+};
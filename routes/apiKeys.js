@@ -0,0 +1,235 @@
+import express from "express";
+import { sendProblem } from "../lib/problems.js";
+import { apiKeyInputSchema, rejectInvalid, validate } from "../lib/schema.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API keys
+ *     description: API key management (admin scope required)
+ */
+export const createApiKeysRouter = ({ apiKeys, requireScope }) => {
+  const router = express.Router();
+
+  router.use(requireScope("admin"));
+
+  /**
+   * @swagger
+   * /admin/keys:
+   *   get:
+   *     tags:
+   *       - API keys
+   *     summary: List API keys
+   *     description: Secrets are never returned, only key metadata.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of API keys
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ApiKey'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   */
+
+  //1. GET all API keys
+  router.get("/", (req, res) => {
+    res.json(apiKeys.list());
+  });
+
+  /**
+   * @swagger
+   * /admin/keys:
+   *   post:
+   *     tags:
+   *       - API keys
+   *     summary: Create an API key
+   *     description: |
+   *       The response is the only time the key itself (`key`) is shown;
+   *       only a hash of it is stored.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ApiKeyInput'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/ApiKeyInput'
+   *     responses:
+   *       201:
+   *         description: API key created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ApiKey'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       422:
+   *         description: Invalid API key settings
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //2. POST a new API key
+  router.post("/", (req, res) => {
+    const { value, errors } = validate(apiKeyInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const { key, ...created } = apiKeys.create(value);
+    res.locals.audit = {
+      target: { type: "apiKey", id: created.id },
+      before: null,
+      after: created,
+    };
+    res.status(201).json({ ...created, key });
+  });
+
+  /**
+   * @swagger
+   * /admin/keys/{id}/rotate:
+   *   post:
+   *     tags:
+   *       - API keys
+   *     summary: Rotate an API key
+   *     description: |
+   *       Issues a new key with the same name, scopes and expiry. The old key
+   *       keeps working for `graceSeconds`, then expires.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Id of the key to rotate
+   *       - in: query
+   *         name: graceSeconds
+   *         schema:
+   *           type: integer
+   *           minimum: 0
+   *           default: 0
+   *         description: How long the old key stays valid
+   *     responses:
+   *       201:
+   *         description: The replacement key
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ApiKey'
+   *       400:
+   *         description: Invalid graceSeconds
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: API key not found
+   *       409:
+   *         description: |
+   *           API key is revoked or has expired; a replacement would carry
+   *           the same expiry, so create a new key instead
+   */
+
+  //3. POST rotate an API key
+  router.post("/:id/rotate", (req, res) => {
+    const existingKey = apiKeys.get(req.params.id);
+    if (!existingKey) {
+      return sendProblem(res, "api_key_not_found");
+    }
+    if (existingKey.revokedAt) {
+      return sendProblem(res, "api_key_revoked");
+    }
+    if (
+      existingKey.expiresAt &&
+      new Date(existingKey.expiresAt) <= new Date()
+    ) {
+      return sendProblem(res, "api_key_expired");
+    }
+    const graceSeconds = Number(req.query.graceSeconds || 0);
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "graceSeconds must be a non-negative integer"
+      );
+    }
+    const { key, ...replacement } = apiKeys.rotate(
+      existingKey.id,
+      graceSeconds
+    );
+    res.locals.audit = {
+      target: { type: "apiKey", id: existingKey.id },
+      before: existingKey,
+      after: { ...apiKeys.get(existingKey.id), replacedBy: replacement.id },
+    };
+    res.status(201).json({ ...replacement, key });
+  });
+
+  /**
+   * @swagger
+   * /admin/keys/{id}:
+   *   delete:
+   *     tags:
+   *       - API keys
+   *     summary: Revoke an API key
+   *     description: The key stops working immediately; its record is kept.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Id of the key to revoke
+   *     responses:
+   *       200:
+   *         description: The revoked key
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ApiKey'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: API key not found
+   */
+
+  //4. DELETE (revoke) an API key
+  router.delete("/:id", (req, res) => {
+    const existingKey = apiKeys.get(req.params.id);
+    if (!existingKey) {
+      return sendProblem(res, "api_key_not_found");
+    }
+    const revokedKey = apiKeys.revoke(existingKey.id);
+    res.locals.audit = {
+      target: { type: "apiKey", id: existingKey.id },
+      before: existingKey,
+      after: revokedKey,
+    };
+    res.json(revokedKey);
+  });
+
+  return router;
+};
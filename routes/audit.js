@@ -0,0 +1,85 @@
+import express from "express";
+import { sendProblem } from "../lib/problems.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: Log of every write to the API
+ */
+export const createAuditRouter = ({ auditLog, requireScope }) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /audit:
+   *   get:
+   *     tags:
+   *       - Audit
+   *     summary: List audit log entries, newest first
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: targetType
+   *         schema:
+   *           type: string
+   *         description: Only entries about this kind of target, e.g. `joke`
+   *       - in: query
+   *         name: targetId
+   *         schema:
+   *           type: string
+   *         description: Only entries about this target
+   *       - in: query
+   *         name: actor
+   *         schema:
+   *           type: string
+   *         description: Only entries made with this API key id (`master` for MASTER_KEY)
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 500
+   *           default: 50
+   *         description: Maximum number of entries
+   *     responses:
+   *       200:
+   *         description: Audit log entries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/AuditEntry'
+   *       400:
+   *         description: Invalid limit
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   */
+
+  //1. GET audit log entries
+  router.get("/", requireScope("admin"), (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "limit must be an integer between 1 and 500"
+      );
+    }
+    res.json(
+      auditLog.list({
+        targetType: req.query.targetType,
+        targetId: req.query.targetId,
+        actorId: req.query.actor,
+        limit,
+      })
+    );
+  });
+
+  return router;
+};
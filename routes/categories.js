@@ -0,0 +1,418 @@
+import express from "express";
+import { actorOf } from "../lib/audit.js";
+import { repeatedParam } from "../lib/listing.js";
+import { sendProblem } from "../lib/problems.js";
+import {
+  categoryInputSchema,
+  categoryMergeSchema,
+  rejectInvalid,
+  validate,
+} from "../lib/schema.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Categories
+ *     description: Joke category management endpoints
+ */
+export const createCategoriesRouter = ({
+  categories,
+  submissions,
+  searchIndex,
+  revisions,
+  changes,
+  requireScope,
+}) => {
+  const router = express.Router();
+
+  // Jokes moved to another category get a new revision, and live ones are
+  // re-indexed so type-filtered searches see the new name and announced on
+  // the change feed.
+  const afterMove = (req, movedJokes) => {
+    movedJokes.forEach((joke) => revisions.record(joke, actorOf(req)));
+    movedJokes
+      .filter((joke) => !joke.deletedAt)
+      .forEach((joke) => {
+        searchIndex.add(joke);
+        changes.publish("updated", joke);
+      });
+  };
+
+  // Pending submissions follow their category too, so approving one never
+  // brings back a category that is gone.
+  const moveSubmissions = (req, from, to) =>
+    submissions.moveCategory(from, to, { by: actorOf(req) });
+
+  /**
+   * @swagger
+   * /categories:
+   *   get:
+   *     tags:
+   *       - Categories
+   *     summary: List all categories with their joke counts
+   *     responses:
+   *       200:
+   *         description: List of categories
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Category'
+   */
+
+  //1. GET all categories
+  router.get("/", (req, res) => {
+    res.json(categories.list());
+  });
+
+  /**
+   * @swagger
+   * /categories/{name}:
+   *   get:
+   *     tags:
+   *       - Categories
+   *     summary: Get a category by name
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Category name (case-insensitive)
+   *     responses:
+   *       200:
+   *         description: A category
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Category'
+   *       404:
+   *         description: Category not found
+   */
+
+  //2. GET a category by name
+  router.get("/:name", (req, res) => {
+    const category = categories.get(req.params.name);
+    if (category) {
+      res.json(category);
+    } else {
+      sendProblem(res, "category_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /categories:
+   *   post:
+   *     tags:
+   *       - Categories
+   *     summary: Create a category
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *     responses:
+   *       201:
+   *         description: Category created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Category'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the write scope
+   *       409:
+   *         description: A category with this name already exists
+   *       422:
+   *         description: Invalid category
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //3. POST a new category
+  router.post("/", requireScope("write"), (req, res) => {
+    const { value, errors } = validate(categoryInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    if (categories.get(value.name)) {
+      return sendProblem(res, "category_exists");
+    }
+    const category = categories.create(value.name);
+    res.locals.audit = {
+      target: { type: "category", id: category.name },
+      before: null,
+      after: category,
+    };
+    res.status(201).json(category);
+  });
+
+  /**
+   * @swagger
+   * /categories/{name}:
+   *   patch:
+   *     tags:
+   *       - Categories
+   *     summary: Rename a category
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     description: |
+   *       Every joke in the category, and every pending submission, is moved
+   *       to the new name.
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Current category name
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *     responses:
+   *       200:
+   *         description: Category renamed
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Category'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the write scope
+   *       404:
+   *         description: Category not found
+   *       409:
+   *         description: A category with the new name already exists
+   *       422:
+   *         description: Invalid category
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //4. PATCH (rename) a category
+  router.patch("/:name", requireScope("write"), (req, res) => {
+    const category = categories.get(req.params.name);
+    if (!category) {
+      return sendProblem(res, "category_not_found");
+    }
+    const { value, errors } = validate(categoryInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const taken = categories.get(value.name);
+    if (taken && taken.name.toLowerCase() !== category.name.toLowerCase()) {
+      return sendProblem(res, "category_exists");
+    }
+    afterMove(req, categories.rename(category.name, value.name));
+    const renamed = categories.get(value.name);
+    moveSubmissions(req, category.name, renamed.name);
+    res.locals.audit = {
+      target: { type: "category", id: category.name },
+      before: category,
+      after: renamed,
+    };
+    res.json(renamed);
+  });
+
+  /**
+   * @swagger
+   * /categories/{name}/merge:
+   *   post:
+   *     tags:
+   *       - Categories
+   *     summary: Merge a category into another one
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     description: |
+   *       Moves every joke and pending submission of the category into
+   *       `into`, then deletes the category.
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Category to merge away
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryMerge'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryMerge'
+   *     responses:
+   *       200:
+   *         description: The category that received the jokes
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Category'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the write scope
+   *       404:
+   *         description: Category not found
+   *       422:
+   *         description: Missing, unknown or identical target category
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //5. POST merge a category into another
+  router.post("/:name/merge", requireScope("write"), (req, res) => {
+    const category = categories.get(req.params.name);
+    if (!category) {
+      return sendProblem(res, "category_not_found");
+    }
+    const { value, errors } = validate(categoryMergeSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const target = categories.get(value.into);
+    if (!target) {
+      return rejectInvalid(res, [
+        {
+          field: "into",
+          code: "enum",
+          message: "into must be an existing category",
+        },
+      ]);
+    }
+    if (target.name === category.name) {
+      return rejectInvalid(res, [
+        {
+          field: "into",
+          code: "enum",
+          message: "Cannot merge a category into itself",
+        },
+      ]);
+    }
+    afterMove(req, categories.merge(category.name, target.name));
+    moveSubmissions(req, category.name, target.name);
+    const merged = categories.get(target.name);
+    res.locals.audit = {
+      target: { type: "category", id: category.name },
+      before: { merged: category, into: target },
+      after: merged,
+    };
+    res.json(merged);
+  });
+
+  /**
+   * @swagger
+   * /categories/{name}:
+   *   delete:
+   *     tags:
+   *       - Categories
+   *     summary: Delete a category
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     description: |
+   *       A category that still has jokes can only be deleted with
+   *       `reassignTo`, which moves its jokes to another category first.
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Category to delete
+   *       - in: query
+   *         name: reassignTo
+   *         schema:
+   *           type: string
+   *         description: Category that receives the jokes of the deleted one
+   *     responses:
+   *       200:
+   *         description: Category deleted
+   *       400:
+   *         description: reassignTo was given more than once
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the delete scope
+   *       404:
+   *         description: Category not found
+   *       409:
+   *         description: |
+   *           The category still has jokes, live or in the trash, and no
+   *           reassignTo was given
+   *       422:
+   *         description: Unknown reassignTo category
+   */
+
+  //6. DELETE a category
+  router.delete("/:name", requireScope("delete"), (req, res) => {
+    const category = categories.get(req.params.name);
+    if (!category) {
+      return sendProblem(res, "category_not_found");
+    }
+    if (repeatedParam(req.query, ["reassignTo"])) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "reassignTo must be given only once"
+      );
+    }
+    const { reassignTo } = req.query;
+    if (reassignTo) {
+      const target = categories.get(reassignTo);
+      if (!target || target.name === category.name) {
+        return rejectInvalid(res, [
+          {
+            field: "reassignTo",
+            code: "enum",
+            message: "reassignTo must be another existing category",
+          },
+        ]);
+      }
+    } else if (categories.inUse(category.name)) {
+      return sendProblem(
+        res,
+        "category_in_use",
+        "Category still has jokes (live or in the trash); pass reassignTo to move them"
+      );
+    }
+    afterMove(req, categories.remove(category.name, reassignTo));
+    if (reassignTo) {
+      moveSubmissions(req, category.name, categories.get(reassignTo).name);
+    }
+    res.locals.audit = {
+      target: { type: "category", id: category.name },
+      before: category,
+      after: reassignTo ? { reassignedTo: reassignTo } : null,
+    };
+    res.json({ message: "Category deleted" });
+  });
+
+  return router;
+};
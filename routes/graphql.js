@@ -0,0 +1,489 @@
+import express from "express";
+import {
+  GraphQLError,
+  Kind,
+  execute,
+  getOperationAST,
+  getVariableValues,
+  parse,
+  validate as validateQuery,
+} from "graphql";
+import { hasScope } from "../lib/apiKeys.js";
+import { actorOf } from "../lib/audit.js";
+import { QUERY_KEY_REFUSED } from "../lib/auth.js";
+import { CONTENT_FLAGS, passesFlagFilter } from "../lib/contentFlags.js";
+import { checkLimits, schema } from "../lib/graphql.js";
+import { jokeFormat, textFields } from "../lib/jokeFormat.js";
+import { parseListQuery, sortJokes } from "../lib/listing.js";
+import { createRandom, sample } from "../lib/random.js";
+import { validate } from "../lib/schema.js";
+import { langList, requestedLangs } from "../lib/translations.js";
+
+const MAX_LIMIT = 100;
+const MAX_COUNT = 50;
+
+const userError = (message, extensions = {}) =>
+  new GraphQLError(message, {
+    extensions: { code: "BAD_USER_INPUT", ...extensions },
+  });
+
+const notFound = (message) =>
+  new GraphQLError(message, { extensions: { code: "NOT_FOUND" } });
+
+const conflict = (message, extensions = {}) =>
+  new GraphQLError(message, {
+    extensions: { code: "CONFLICT", ...extensions },
+  });
+
+// Arguments left out of an input object are absent, but clients may also
+// send explicit nulls; the REST validators expect neither.
+const withoutNulls = (input) =>
+  Object.fromEntries(
+    Object.entries(input).filter(([, value]) => value !== null)
+  );
+
+const checkRange = (name, value, min, max = Infinity) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw userError(
+      max === Infinity
+        ? `${name} must be an integer of at least ${min}`
+        : `${name} must be an integer between ${min} and ${max}`
+    );
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GraphQL
+ *     description: GraphQL access to jokes and categories
+ */
+
+/**
+ * Routes under /graphql. The read resolvers filter `jokes` like the REST
+ * routes do and serve them through `localizer(langs)`; the mutations go
+ * through `publishJoke`, `reviseJoke` and `trashJoke`, so they validate,
+ * deduplicate, version and broadcast jokes exactly like POST, PUT, PATCH
+ * and DELETE /jokes. `maxDepth` and `maxCost` bound every operation.
+ */
+export const createGraphQLRouter = ({
+  jokes,
+  findJoke,
+  categories,
+  jokeSchema,
+  localizer,
+  publishJoke,
+  reviseJoke,
+  trashJoke,
+  maxDepth,
+  maxCost,
+}) => {
+  const router = express.Router();
+
+  // Same answers as `requireScope`, as GraphQL errors.
+  const authorize = (req, scope) => {
+    if (!req.credential) {
+      throw new GraphQLError(
+        req.keyInQuery
+          ? QUERY_KEY_REFUSED
+          : req.invalidKey
+          ? "Invalid or expired API key"
+          : "API key required",
+        { extensions: { code: "UNAUTHENTICATED" } }
+      );
+    }
+    if (!hasScope(req.credential, scope)) {
+      throw new GraphQLError("Forbidden", {
+        extensions: { code: "FORBIDDEN" },
+      });
+    }
+  };
+
+  const checkInput = (input, options) => {
+    const { value, errors } = validate(
+      jokeSchema(),
+      withoutNulls(input),
+      options
+    );
+    if (errors.length > 0) {
+      throw userError("Validation failed", { errors });
+    }
+    return value;
+  };
+
+  const checkDuplicates = (similar) => {
+    if (similar) {
+      throw conflict("Joke duplicates an existing joke", {
+        duplicates: similar,
+      });
+    }
+  };
+
+  // `lang` takes the same comma-separated list as `?lang=`; without it the
+  // request's Accept-Language is used.
+  const inLang = (req, lang) =>
+    localizer(lang ? langList(lang) : requestedLangs(req));
+
+  const flagFilter = ({ safe, blacklistFlags }) =>
+    safe ? CONTENT_FLAGS : blacklistFlags || [];
+
+  const ofType = (joke, type) =>
+    joke.jokeType.toLowerCase() === type.toLowerCase();
+
+  // Jokes and categories as resolver objects: the fields that need work of
+  // their own are functions, which GraphQL calls when they are selected.
+  const jokeNode = (joke) => ({
+    ...joke,
+    format: jokeFormat(joke),
+    flags: joke.flags || [],
+    category: () => categoryNode(categories.get(joke.jokeType)),
+  });
+
+  const categoryNode = (category) =>
+    category && {
+      ...category,
+      jokes: ({ limit, offset, lang }, { req }) => {
+        checkRange("limit", limit, 1, MAX_LIMIT);
+        checkRange("offset", offset, 0);
+        return sortJokes(
+          jokes.all().filter((joke) => ofType(joke, category.name))
+        )
+          .slice(offset, offset + limit)
+          .map(inLang(req, lang))
+          .map(jokeNode);
+      },
+    };
+
+  const audit = (res, entry) => {
+    res.locals.audit.push(entry);
+  };
+
+  // replaceJoke and updateJoke. The scope is checked before the input, as
+  // `requireScope` runs before the REST handlers validate the body.
+  const revise = (id, input, options, { req, res }) => {
+    authorize(req, "write");
+    const existingJoke = findJoke(id);
+    if (!existingJoke) {
+      throw notFound("Joke not found");
+    }
+    const { joke, errors, takenLang, duplicates } = reviseJoke(
+      existingJoke,
+      checkInput(input, options),
+      options,
+      actorOf(req)
+    );
+    if (errors) {
+      throw userError("Validation failed", { errors });
+    }
+    if (takenLang) {
+      throw conflict(
+        `The joke already has a "${takenLang}" translation; delete it first`
+      );
+    }
+    checkDuplicates(duplicates);
+    audit(res, {
+      target: { type: "joke", id: existingJoke.id },
+      before: existingJoke,
+      after: joke,
+    });
+    return jokeNode(joke);
+  };
+
+  const rootValue = {
+    joke: ({ id, lang }, { req }) => {
+      const joke = findJoke(id);
+      return joke && jokeNode(inLang(req, lang)(joke));
+    },
+    randomJokes: (args, { req }) => {
+      checkRange("count", args.count, 1, MAX_COUNT);
+      if (args.maxLength != null) {
+        checkRange("maxLength", args.maxLength, 1);
+      }
+      const types = (args.type || []).map((type) => type.toLowerCase());
+      const excluded = new Set(args.exclude || []);
+      const excludedFlags = flagFilter(args);
+      const candidates = sortJokes(
+        jokes
+          .all()
+          .filter(
+            (joke) =>
+              (types.length === 0 ||
+                types.includes(joke.jokeType.toLowerCase())) &&
+              !excluded.has(String(joke.id)) &&
+              (!args.maxLength || joke.jokeText.length <= args.maxLength) &&
+              (!args.format || jokeFormat(joke) === args.format) &&
+              passesFlagFilter(joke, excludedFlags)
+          )
+      );
+      return sample(
+        candidates,
+        args.count,
+        createRandom(args.seed ?? undefined)
+      )
+        .map(inLang(req, args.lang))
+        .map(jokeNode);
+    },
+    jokes: (args, { req }) => {
+      const { sortField, descending, error } = parseListQuery({
+        sort: args.sort ?? undefined,
+      });
+      if (error) {
+        throw userError(error);
+      }
+      checkRange("limit", args.limit, 1, MAX_LIMIT);
+      checkRange("offset", args.offset, 0);
+      const excludedFlags = flagFilter(args);
+      const filtered = jokes
+        .all()
+        .filter(
+          (joke) =>
+            (!args.type || ofType(joke, args.type)) &&
+            (!args.format || jokeFormat(joke) === args.format) &&
+            passesFlagFilter(joke, excludedFlags)
+        );
+      return sortJokes(filtered, sortField, descending)
+        .slice(args.offset, args.offset + args.limit)
+        .map(inLang(req, args.lang))
+        .map(jokeNode);
+    },
+    categories: () => categories.list().map(categoryNode),
+    category: ({ name }) => categoryNode(categories.get(name)),
+
+    createJoke: ({ input }, { req, res }) => {
+      authorize(req, "write");
+      const value = checkInput(input);
+      const { fields, errors } = textFields(value);
+      if (errors.length > 0) {
+        throw userError("Validation failed", { errors });
+      }
+      const { joke, duplicates } = publishJoke(
+        { fields, type: value.type, flags: value.flags, lang: value.lang },
+        actorOf(req)
+      );
+      checkDuplicates(duplicates);
+      audit(res, {
+        target: { type: "joke", id: joke.id },
+        before: null,
+        after: joke,
+      });
+      return jokeNode(joke);
+    },
+    replaceJoke: ({ id, input }, context) =>
+      revise(id, input, { partial: false }, context),
+    updateJoke: ({ id, input }, context) =>
+      revise(id, input, { partial: true }, context),
+    deleteJoke: ({ id }, { req, res }) => {
+      authorize(req, "delete");
+      const existingJoke = findJoke(id);
+      if (!existingJoke) {
+        throw notFound("Joke not found");
+      }
+      const trashedJoke = trashJoke(existingJoke);
+      audit(res, {
+        target: { type: "joke", id: existingJoke.id },
+        before: existingJoke,
+        after: trashedJoke,
+      });
+      return jokeNode(trashedJoke);
+    },
+  };
+
+  const run = async (req, res, { query, variables, operationName }) => {
+    const rejectRequest = (errors, status = 400) =>
+      res.status(status).json({ errors });
+    if (typeof query !== "string" || !query.trim()) {
+      return rejectRequest([{ message: "query is required" }]);
+    }
+    if (
+      variables != null &&
+      (typeof variables !== "object" || Array.isArray(variables))
+    ) {
+      return rejectRequest([{ message: "variables must be a JSON object" }]);
+    }
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return rejectRequest([err]);
+    }
+    const validationErrors = validateQuery(schema, document);
+    if (validationErrors.length > 0) {
+      return rejectRequest(validationErrors);
+    }
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return rejectRequest([
+        {
+          message: operationName
+            ? `Unknown operation "${operationName}"`
+            : "operationName is required when the query has several operations",
+        },
+      ]);
+    }
+    if (operation.operation === "mutation" && req.method !== "POST") {
+      res.set("Allow", "POST");
+      return rejectRequest(
+        [{ message: "Mutations must be sent with POST" }],
+        405
+      );
+    }
+    const { coerced, errors: variableErrors } = getVariableValues(
+      schema,
+      operation.variableDefinitions || [],
+      variables || {}
+    );
+    if (variableErrors) {
+      return rejectRequest(variableErrors);
+    }
+    const fragments = Object.fromEntries(
+      document.definitions
+        .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map((fragment) => [fragment.name.value, fragment])
+    );
+    const limitErrors = checkLimits(operation, fragments, coerced, {
+      maxDepth,
+      maxCost,
+    });
+    if (limitErrors.length > 0) {
+      return rejectRequest(limitErrors);
+    }
+    // Every mutation adds its own audit entry; a query adds none.
+    res.locals.audit = [];
+    res.vary("Accept-Language");
+    res.json(
+      await execute({
+        schema,
+        document,
+        rootValue,
+        contextValue: { req, res },
+        variableValues: variables,
+        operationName,
+      })
+    );
+  };
+
+  /**
+   * @swagger
+   * /graphql:
+   *   get:
+   *     tags:
+   *       - GraphQL
+   *     summary: Run a GraphQL query
+   *     description: |
+   *       Queries only; send mutations with POST. Reads sent this way count
+   *       against the read rate limit.
+   *     parameters:
+   *       - in: query
+   *         name: query
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: "{ categories { name jokeCount } }"
+   *       - in: query
+   *         name: variables
+   *         schema:
+   *           type: string
+   *         description: Variables as a JSON object
+   *       - in: query
+   *         name: operationName
+   *         schema:
+   *           type: string
+   *       - in: header
+   *         name: Accept-Language
+   *         schema:
+   *           type: string
+   *         description: Languages to serve jokes in, unless a field has `lang`
+   *     responses:
+   *       200:
+   *         description: GraphQL result, with `data` and any field `errors`
+   *       400:
+   *         description: |
+   *           The query doesn't parse, doesn't match the schema, or goes over
+   *           GRAPHQL_MAX_DEPTH or GRAPHQL_MAX_COST
+   *       405:
+   *         description: The operation is a mutation
+   */
+
+  //1. GET a GraphQL query
+  router.get("/", (req, res, next) => {
+    let variables;
+    try {
+      variables = req.query.variables
+        ? JSON.parse(req.query.variables)
+        : undefined;
+    } catch {
+      return res
+        .status(400)
+        .json({ errors: [{ message: "variables must be a JSON object" }] });
+    }
+    run(req, res, {
+      query: req.query.query,
+      variables,
+      operationName: req.query.operationName,
+    }).catch(next);
+  });
+
+  /**
+   * @swagger
+   * /graphql:
+   *   post:
+   *     tags:
+   *       - GraphQL
+   *     summary: Run a GraphQL query or mutation
+   *     description: |
+   *       One request can fetch jokes together with category counts:
+   *
+   *       ```graphql
+   *       {
+   *         randomJokes(type: ["Puns"], count: 3, safe: true) { id jokeText }
+   *         categories { name jokeCount }
+   *       }
+   *       ```
+   *
+   *       Mutations need an API key with the same scopes as the REST routes
+   *       they mirror (`write` for createJoke, replaceJoke and updateJoke,
+   *       `delete` for deleteJoke); otherwise their field fails with an
+   *       `UNAUTHENTICATED` or `FORBIDDEN` error. Validation failures,
+   *       duplicates and missing jokes are reported as field errors with
+   *       the codes `BAD_USER_INPUT`, `CONFLICT` and `NOT_FOUND`.
+   *
+   *       Queries nested deeper than GRAPHQL_MAX_DEPTH (8) or costing more
+   *       than GRAPHQL_MAX_COST (1000) are refused. Each field costs 1;
+   *       the selection of a list field counts once per item it may
+   *       return (its `limit` or `count`, or 10).
+   *     security:
+   *       - {}
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - query
+   *             properties:
+   *               query:
+   *                 type: string
+   *               variables:
+   *                 type: object
+   *               operationName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: GraphQL result, with `data` and any field `errors`
+   *       400:
+   *         description: |
+   *           The query doesn't parse, doesn't match the schema, or goes over
+   *           GRAPHQL_MAX_DEPTH or GRAPHQL_MAX_COST
+   */
+
+  //2. POST a GraphQL query or mutation
+  router.post("/", (req, res, next) => {
+    const { query, variables, operationName } = req.body || {};
+    run(req, res, { query, variables, operationName }).catch(next);
+  });
+
+  return router;
+};
@@ -0,0 +1,275 @@
+import express from "express";
+import { diffRevisions, revisionInput } from "../lib/revisions.js";
+import { actorOf } from "../lib/audit.js";
+import { failsIfMatch, jokeTag, jokeWriteTag } from "../lib/caching.js";
+import { sendProblem } from "../lib/problems.js";
+import { rejectInvalid, validate } from "../lib/schema.js";
+
+/**
+ * Routes under /jokes/{id}/revisions. `findJoke` resolves the id or slug
+ * of a live joke; reverts are written with `reviseJoke`, the same path as
+ * PUT /jokes/{id}, after validating against `jokeSchema()`.
+ */
+export const createRevisionsRouter = ({
+  findJoke,
+  revisions,
+  categories,
+  jokeSchema,
+  reviseJoke,
+  requireScope,
+}) => {
+  const router = express.Router({ mergeParams: true });
+
+  const findRevision = (joke, number) =>
+    /^\d+$/.test(number) ? revisions.get(joke.id, Number(number)) : undefined;
+
+  /**
+   * @swagger
+   * /jokes/{id}/revisions:
+   *   get:
+   *     tags:
+   *       - Jokes
+   *     summary: List the revisions of a joke
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *     responses:
+   *       200:
+   *         description: Revisions, oldest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Revision'
+   *       404:
+   *         description: Joke not found
+   */
+
+  //1. GET all revisions of a joke
+  router.get("/", (req, res) => {
+    const joke = findJoke(req.params.id);
+    if (joke) {
+      res.json(revisions.list(joke.id));
+    } else {
+      sendProblem(res, "joke_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/revisions/{revision}:
+   *   get:
+   *     tags:
+   *       - Jokes
+   *     summary: Get one revision of a joke
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: revision
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Revision number
+   *     responses:
+   *       200:
+   *         description: The revision
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Revision'
+   *       404:
+   *         description: Joke or revision not found
+   */
+
+  //2. GET a specific revision of a joke
+  router.get("/:revision", (req, res) => {
+    const joke = findJoke(req.params.id);
+    const revision = joke && findRevision(joke, req.params.revision);
+    if (revision) {
+      res.json(revision);
+    } else {
+      sendProblem(res, "revision_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/revisions/{revision}/diff:
+   *   get:
+   *     tags:
+   *       - Jokes
+   *     summary: Compare a revision with another one
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: revision
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Revision to compare
+   *       - in: query
+   *         name: against
+   *         schema:
+   *           type: integer
+   *         description: Revision to compare with, defaults to the previous one
+   *     responses:
+   *       200:
+   *         description: Field-level changes, with word-level ops for text
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RevisionDiff'
+   *       404:
+   *         description: Joke or revision not found
+   */
+
+  //3. GET the diff between two revisions of a joke
+  router.get("/:revision/diff", (req, res) => {
+    const joke = findJoke(req.params.id);
+    const revision = joke && findRevision(joke, req.params.revision);
+    if (!revision) {
+      return sendProblem(res, "revision_not_found");
+    }
+    const against =
+      req.query.against === undefined
+        ? String(revision.revision - 1)
+        : req.query.against;
+    const base = findRevision(joke, against);
+    if (!base) {
+      return sendProblem(
+        res,
+        "revision_not_found",
+        "Revision to compare against not found"
+      );
+    }
+    res.json(diffRevisions(base, revision));
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/revisions/{revision}/revert:
+   *   post:
+   *     tags:
+   *       - Jokes
+   *     summary: Revert a joke to an earlier revision
+   *     description: |
+   *       Restores the content of the revision. This is recorded as a new
+   *       revision, so the revert can itself be undone. The restored content
+   *       is checked like a `PUT /jokes/{id}` with it: `If-Match`, duplicate
+   *       detection, translation languages and content flags all apply.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: revision
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Revision to go back to
+   *       - in: header
+   *         name: If-Match
+   *         schema:
+   *           type: string
+   *         description: Only revert if the joke's current ETag matches
+   *     responses:
+   *       200:
+   *         description: The reverted joke
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Joke'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the write scope
+   *       404:
+   *         description: Joke or revision not found
+   *       409:
+   *         description: |
+   *           The revision's category no longer exists, its text is too
+   *           similar to another joke (with DUPLICATE_POLICY=reject), or the
+   *           joke already has a translation into the revision's language
+   *       412:
+   *         description: The joke changed since the ETag in `If-Match` was fetched
+   *       422:
+   *         description: The revision's content is no longer valid
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //4. POST revert a joke to a revision
+  router.post("/:revision/revert", requireScope("write"), (req, res) => {
+    const joke = findJoke(req.params.id);
+    const revision = joke && findRevision(joke, req.params.revision);
+    if (!revision) {
+      return sendProblem(res, "revision_not_found");
+    }
+    if (failsIfMatch(req, jokeWriteTag(joke))) {
+      return sendProblem(res, "precondition_failed");
+    }
+    const input = revisionInput(revision);
+    if (!categories.get(input.type)) {
+      return sendProblem(
+        res,
+        "category_missing",
+        `Category "${input.type}" no longer exists`
+      );
+    }
+    const { value, errors } = validate(jokeSchema(), input);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const {
+      joke: revertedJoke,
+      errors: textErrors,
+      takenLang,
+      duplicates,
+    } = reviseJoke(joke, value, { partial: false }, actorOf(req));
+    if (textErrors) {
+      return rejectInvalid(res, textErrors);
+    }
+    if (takenLang) {
+      return sendProblem(
+        res,
+        "translation_exists",
+        `The joke already has a "${takenLang}" translation; delete it first`
+      );
+    }
+    if (duplicates) {
+      return sendProblem(res, "duplicate_joke", undefined, { duplicates });
+    }
+    res.locals.audit = {
+      target: { type: "joke", id: joke.id },
+      before: joke,
+      after: revertedJoke,
+    };
+    res.set("ETag", jokeTag(revertedJoke));
+    res.json(revertedJoke);
+  });
+
+  return router;
+};
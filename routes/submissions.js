@@ -0,0 +1,499 @@
+import express from "express";
+import { hasScope } from "../lib/apiKeys.js";
+import { actorOf } from "../lib/audit.js";
+import { resolveFlags } from "../lib/contentFlags.js";
+import { textFields, withTextFields } from "../lib/jokeFormat.js";
+import { sendProblem } from "../lib/problems.js";
+import {
+  moderationInputSchema,
+  rejectInvalid,
+  validate,
+} from "../lib/schema.js";
+import { SUBMISSION_STATUSES, publicSubmission } from "../lib/submissions.js";
+import { DEFAULT_LANG, normalizeLang } from "../lib/translations.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Submissions
+ *     description: Jokes sent in by the public, awaiting moderation
+ */
+
+/**
+ * Routes under /submissions. `jokeSchema()` is the joke input schema for
+ * the current categories; `similarJokes` and `withDuplicateFlag` mark
+ * submissions that look like existing jokes; `publishJoke` turns an
+ * approved submission into a joke, and `rejectDuplicate` answers when it
+ * is refused as a duplicate.
+ */
+export const createSubmissionsRouter = ({
+  submissions,
+  jokeSchema,
+  similarJokes,
+  withDuplicateFlag,
+  publishJoke,
+  rejectDuplicate,
+  requireScope,
+}) => {
+  const router = express.Router();
+
+  // Moderation routes also accept a `reason` next to the joke fields.
+  const editSchema = () => {
+    const schema = jokeSchema();
+    return {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        ...moderationInputSchema.properties,
+      },
+    };
+  };
+
+  const findPending = (req, res) => {
+    const submission = submissions.get(req.params.id);
+    if (!submission) {
+      sendProblem(res, "submission_not_found");
+      return undefined;
+    }
+    if (submission.status !== "pending") {
+      sendProblem(
+        res,
+        "submission_closed",
+        `Submission has already been ${submission.status}`
+      );
+      return undefined;
+    }
+    return submission;
+  };
+
+  /**
+   * @swagger
+   * /submissions:
+   *   post:
+   *     tags:
+   *       - Submissions
+   *     summary: Submit a joke for moderation
+   *     description: |
+   *       Anyone can submit a joke; no API key is needed. The joke is
+   *       published only once a moderator approves it. Keep the returned
+   *       id to look up the submission's status later.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/JokeInput'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/JokeInput'
+   *     responses:
+   *       202:
+   *         description: Submission queued for moderation
+   *         headers:
+   *           Location:
+   *             schema:
+   *               type: string
+   *             description: Where to look up the submission's status
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Submission'
+   *       422:
+   *         description: Invalid joke
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //1. POST a new submission
+  router.post("/", (req, res) => {
+    const { value, errors } = validate(jokeSchema(), req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const { fields, errors: textErrors } = textFields(value);
+    if (textErrors.length > 0) {
+      return rejectInvalid(res, textErrors);
+    }
+    const submission = submissions.create(
+      withDuplicateFlag(
+        {
+          ...fields,
+          jokeType: value.type,
+          flags: resolveFlags({
+            requested: value.flags,
+            text: fields.jokeText,
+          }),
+          lang: value.lang ? normalizeLang(value.lang) : DEFAULT_LANG,
+        },
+        similarJokes(fields.jokeText)
+      ),
+      { submittedBy: actorOf(req) }
+    );
+    res.locals.audit = {
+      target: { type: "submission", id: submission.id },
+      before: null,
+      after: submission,
+    };
+    res
+      .status(202)
+      .location(`${req.baseUrl}/${submission.id}`)
+      .json(publicSubmission(submission));
+  });
+
+  /**
+   * @swagger
+   * /submissions:
+   *   get:
+   *     tags:
+   *       - Submissions
+   *     summary: List submissions, oldest first
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, rejected, all]
+   *           default: pending
+   *         description: Which submissions to list; the queue by default
+   *     responses:
+   *       200:
+   *         description: Submissions
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Submission'
+   *       400:
+   *         description: Invalid status
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the moderate scope
+   */
+
+  //2. GET the moderation queue
+  router.get("/", requireScope("moderate"), (req, res) => {
+    const status = req.query.status ?? "pending";
+    if (status !== "all" && !SUBMISSION_STATUSES.includes(status)) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        `status must be one of ${[...SUBMISSION_STATUSES, "all"].join(", ")}`
+      );
+    }
+    res.json(
+      submissions.list({ status: status === "all" ? undefined : status })
+    );
+  });
+
+  /**
+   * @swagger
+   * /submissions/{id}:
+   *   get:
+   *     tags:
+   *       - Submissions
+   *     summary: Look up a submission's status
+   *     description: |
+   *       Open to anyone with the submission id. Moderators also see who
+   *       submitted and reviewed it and its moderation history.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The submission id returned when it was submitted
+   *     responses:
+   *       200:
+   *         description: The submission
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Submission'
+   *       404:
+   *         description: Submission not found
+   */
+
+  //3. GET one submission
+  router.get("/:id", (req, res) => {
+    const submission = submissions.get(req.params.id);
+    if (!submission) {
+      return sendProblem(res, "submission_not_found");
+    }
+    res.json(
+      hasScope(req.credential, "moderate")
+        ? submission
+        : publicSubmission(submission)
+    );
+  });
+
+  /**
+   * @swagger
+   * /submissions/{id}:
+   *   patch:
+   *     tags:
+   *       - Submissions
+   *     summary: Edit a pending submission
+   *     description: |
+   *       Moderators can fix a submission before approving it. Send the
+   *       joke fields to change and a `reason`, which is kept in the
+   *       submission's history.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The submission id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/JokePatch'
+   *               - $ref: '#/components/schemas/ModerationInput'
+   *     responses:
+   *       200:
+   *         description: The edited submission
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Submission'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the moderate scope
+   *       404:
+   *         description: Submission not found
+   *       409:
+   *         description: The submission has already been approved or rejected
+   *       422:
+   *         description: Invalid joke fields
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //4. PATCH a pending submission
+  router.patch("/:id", requireScope("moderate"), (req, res) => {
+    const submission = findPending(req, res);
+    if (!submission) {
+      return;
+    }
+    const { value, errors } = validate(editSchema(), req.body, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const { fields, errors: textErrors } = textFields(value, submission);
+    if (textErrors.length > 0) {
+      return rejectInvalid(res, textErrors);
+    }
+    const edited = submissions.edit(
+      withDuplicateFlag(
+        {
+          ...withTextFields(submission, fields),
+          jokeType: value.type ?? submission.jokeType,
+          flags: resolveFlags({
+            requested: value.flags,
+            text: fields.jokeText,
+            existing: submission,
+          }),
+          lang: value.lang ? normalizeLang(value.lang) : submission.lang,
+        },
+        similarJokes(fields.jokeText)
+      ),
+      { by: actorOf(req), reason: value.reason }
+    );
+    res.locals.audit = {
+      target: { type: "submission", id: submission.id },
+      before: submission,
+      after: edited,
+    };
+    res.json(edited);
+  });
+
+  /**
+   * @swagger
+   * /submissions/{id}/approve:
+   *   post:
+   *     tags:
+   *       - Submissions
+   *     summary: Approve a submission and publish it as a joke
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The submission id
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ModerationInput'
+   *     responses:
+   *       200:
+   *         description: The approved submission, with the id of the new joke
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Submission'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the moderate scope
+   *       404:
+   *         description: Submission not found
+   *       409:
+   *         description: |
+   *           The submission has already been approved or rejected, or it
+   *           is too similar to an existing joke (with the default
+   *           DUPLICATE_POLICY=reject)
+   *       422:
+   *         description: |
+   *           The submission is no longer a valid joke, e.g. its category
+   *           has been deleted; edit it and approve again
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //5. POST approve a submission
+  router.post("/:id/approve", requireScope("moderate"), (req, res) => {
+    const submission = findPending(req, res);
+    if (!submission) {
+      return;
+    }
+    const { value, errors } = validate(moderationInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const { setup, delivery, jokeText, jokeType, flags, lang } = submission;
+    // Checked again like a new joke: the category may have been deleted
+    // since the submission came in.
+    const { value: input, errors: jokeErrors } = validate(jokeSchema(), {
+      ...(setup !== undefined ? { setup, delivery } : { text: jokeText }),
+      type: jokeType,
+      flags,
+      lang,
+    });
+    if (jokeErrors.length > 0) {
+      return rejectInvalid(res, jokeErrors);
+    }
+    const { joke: published, duplicates } = publishJoke(
+      {
+        fields:
+          setup !== undefined ? { jokeText, setup, delivery } : { jokeText },
+        type: input.type,
+        flags,
+        lang,
+      },
+      actorOf(req)
+    );
+    if (duplicates) {
+      return rejectDuplicate(res, duplicates);
+    }
+    const approved = submissions.approve(submission, {
+      jokeId: published.id,
+      by: actorOf(req),
+      reason: value.reason,
+    });
+    res.locals.audit = {
+      target: { type: "submission", id: submission.id },
+      before: submission,
+      after: approved,
+    };
+    res.json(approved);
+  });
+
+  /**
+   * @swagger
+   * /submissions/{id}/reject:
+   *   post:
+   *     tags:
+   *       - Submissions
+   *     summary: Reject a submission
+   *     description: The `reason` is shown to the submitter.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The submission id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ModerationInput'
+   *     responses:
+   *       200:
+   *         description: The rejected submission
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Submission'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the moderate scope
+   *       404:
+   *         description: Submission not found
+   *       409:
+   *         description: The submission has already been approved or rejected
+   *       422:
+   *         description: Missing reason
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //6. POST reject a submission
+  router.post("/:id/reject", requireScope("moderate"), (req, res) => {
+    const submission = findPending(req, res);
+    if (!submission) {
+      return;
+    }
+    const { value, errors } = validate(
+      { ...moderationInputSchema, required: ["reason"] },
+      req.body
+    );
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const rejected = submissions.reject(submission, {
+      by: actorOf(req),
+      reason: value.reason,
+    });
+    res.locals.audit = {
+      target: { type: "submission", id: submission.id },
+      before: submission,
+      after: rejected,
+    };
+    res.json(rejected);
+  });
+
+  return router;
+};
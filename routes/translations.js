@@ -0,0 +1,256 @@
+import express from "express";
+import { textFields } from "../lib/jokeFormat.js";
+import { sendProblem } from "../lib/problems.js";
+import {
+  rejectInvalid,
+  translationInputSchema,
+  validate,
+} from "../lib/schema.js";
+import {
+  DEFAULT_LANG,
+  LANG_PATTERN,
+  normalizeLang,
+} from "../lib/translations.js";
+
+/**
+ * Routes under /jokes/{id}/translations. `findJoke` resolves the id or
+ * slug of a live joke.
+ */
+export const createTranslationsRouter = ({
+  findJoke,
+  translations,
+  requireScope,
+}) => {
+  const router = express.Router({ mergeParams: true });
+
+  const validLang = (lang) => new RegExp(LANG_PATTERN).test(lang);
+
+  /**
+   * @swagger
+   * /jokes/{id}/translations:
+   *   get:
+   *     tags:
+   *       - Jokes
+   *     summary: List the translations of a joke
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *     responses:
+   *       200:
+   *         description: Translations, by language tag
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Translation'
+   *       404:
+   *         description: Joke not found
+   */
+
+  //1. GET all translations of a joke
+  router.get("/", (req, res) => {
+    const joke = findJoke(req.params.id);
+    if (joke) {
+      res.json(translations.list(joke.id));
+    } else {
+      sendProblem(res, "joke_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/translations/{lang}:
+   *   get:
+   *     tags:
+   *       - Jokes
+   *     summary: Get the translation of a joke into one language
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: lang
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Language tag, e.g. `de` or `pt-BR`
+   *     responses:
+   *       200:
+   *         description: The translation
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Translation'
+   *       404:
+   *         description: Joke or translation not found
+   */
+
+  //2. GET one translation of a joke
+  router.get("/:lang", (req, res) => {
+    const joke = findJoke(req.params.id);
+    const translation =
+      joke && translations.get(joke.id, normalizeLang(req.params.lang));
+    if (translation) {
+      res.json(translation);
+    } else {
+      sendProblem(res, "translation_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/translations/{lang}:
+   *   put:
+   *     tags:
+   *       - Jokes
+   *     summary: Add or replace the translation of a joke
+   *     description: |
+   *       Send `text`, or `setup` and `delivery` for a two-part joke.
+   *       Question-style text is split into setup and delivery like on
+   *       jokes themselves.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: lang
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Language tag, e.g. `de` or `pt-BR`
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TranslationInput'
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             $ref: '#/components/schemas/TranslationInput'
+   *     responses:
+   *       200:
+   *         description: The stored translation
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Translation'
+   *       400:
+   *         description: Invalid language tag
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the write scope
+   *       404:
+   *         description: Joke not found
+   *       409:
+   *         description: The language is the joke's original language
+   *       422:
+   *         description: Invalid translation
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //3. PUT a translation of a joke
+  router.put("/:lang", requireScope("write"), (req, res) => {
+    const joke = findJoke(req.params.id);
+    if (!joke) {
+      return sendProblem(res, "joke_not_found");
+    }
+    if (!validLang(req.params.lang)) {
+      return sendProblem(res, "invalid_parameter", "Invalid language tag");
+    }
+    const lang = normalizeLang(req.params.lang);
+    if (lang === (joke.lang || DEFAULT_LANG)) {
+      return sendProblem(
+        res,
+        "original_language",
+        `The joke is already in "${lang}"; edit the joke instead`
+      );
+    }
+    const { value, errors } = validate(translationInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const { fields, errors: textErrors } = textFields(value);
+    if (textErrors.length > 0) {
+      return rejectInvalid(res, textErrors);
+    }
+    const before = translations.get(joke.id, lang) || null;
+    const translation = translations.put(joke.id, lang, fields);
+    res.locals.audit = {
+      target: { type: "translation", id: translation.id },
+      before,
+      after: translation,
+    };
+    res.json(translation);
+  });
+
+  /**
+   * @swagger
+   * /jokes/{id}/translations/{lang}:
+   *   delete:
+   *     tags:
+   *       - Jokes
+   *     summary: Delete the translation of a joke
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID or slug of the joke
+   *       - in: path
+   *         name: lang
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Language tag
+   *     responses:
+   *       200:
+   *         description: Translation deleted
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the delete scope
+   *       404:
+   *         description: Joke or translation not found
+   */
+
+  //4. DELETE a translation of a joke
+  router.delete("/:lang", requireScope("delete"), (req, res) => {
+    const joke = findJoke(req.params.id);
+    const translation =
+      joke && translations.get(joke.id, normalizeLang(req.params.lang));
+    if (!translation) {
+      return sendProblem(res, "translation_not_found");
+    }
+    translations.remove(joke.id, translation.lang);
+    res.locals.audit = {
+      target: { type: "translation", id: translation.id },
+      before: translation,
+      after: null,
+    };
+    res.json({ message: "Translation deleted" });
+  });
+
+  return router;
+};
@@ -0,0 +1,121 @@
+import express from "express";
+import { sendProblem } from "../lib/problems.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Trash
+ *     description: Deleted jokes awaiting restore or purge
+ */
+export const createTrashRouter = ({ trash, requireScope }) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /trash:
+   *   get:
+   *     tags:
+   *       - Trash
+   *     summary: List jokes in the trash
+   *     description: |
+   *       Trashed jokes are purged automatically once they are older than
+   *       `TRASH_RETENTION_DAYS` (30 days by default).
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Trashed jokes
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Joke'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the read scope
+   */
+
+  //1. GET all trashed jokes
+  router.get("/", requireScope("read"), (req, res) => {
+    res.json(trash.list());
+  });
+
+  /**
+   * @swagger
+   * /trash/{id}:
+   *   delete:
+   *     tags:
+   *       - Trash
+   *     summary: Permanently delete a joke from the trash
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The ID of the trashed joke
+   *     responses:
+   *       200:
+   *         description: Joke purged
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the delete scope
+   *       404:
+   *         description: Joke not found in the trash
+   */
+
+  //2. DELETE a joke from the trash for good
+  router.delete("/:id", requireScope("delete"), (req, res) => {
+    const trashedJoke = trash.get(req.params.id);
+    if (trashedJoke) {
+      trash.purge(trashedJoke.id);
+      res.locals.audit = {
+        target: { type: "joke", id: trashedJoke.id },
+        before: trashedJoke,
+        after: null,
+      };
+      res.json({ message: "Joke purged" });
+    } else {
+      sendProblem(res, "trashed_joke_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /trash:
+   *   delete:
+   *     tags:
+   *       - Trash
+   *     summary: Empty the trash
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Trash emptied
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   */
+
+  //3. DELETE every joke in the trash for good
+  router.delete("/", requireScope("admin"), (req, res) => {
+    const purged = trash.purgeAll();
+    res.locals.audit = {
+      target: { type: "trash" },
+      before: { jokeCount: purged },
+      after: { jokeCount: 0 },
+    };
+    res.json({ message: `${purged} jokes purged` });
+  });
+
+  return router;
+};
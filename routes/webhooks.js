@@ -0,0 +1,387 @@
+import express from "express";
+import { sendProblem } from "../lib/problems.js";
+import { rejectInvalid, validate, webhookInputSchema } from "../lib/schema.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Outgoing webhook subscriptions (admin scope required)
+ */
+export const createWebhooksRouter = ({ webhooks, requireScope }) => {
+  const router = express.Router();
+
+  router.use(requireScope("admin"));
+
+  /**
+   * @swagger
+   * /admin/webhooks:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: List webhook subscriptions
+   *     description: Signing secrets are never returned here.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Webhook subscriptions
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Webhook'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   */
+
+  //1. GET all webhook subscriptions
+  router.get("/", (req, res) => {
+    res.json(webhooks.list());
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Subscribe a URL to joke events
+   *     description: |
+   *       Every matching event is POSTed to `url` as JSON (`id`, `event`,
+   *       `createdAt`, `data`). The `X-Webhook-Signature` header holds
+   *       `t=<unix time>,v1=<hex HMAC-SHA256 of "<unix time>.<body>">`
+   *       under the subscription's secret. Any 2xx response counts as
+   *       delivered; anything else is retried with exponential backoff.
+   *       The response is the only time the secret is shown.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/WebhookInput'
+   *     responses:
+   *       201:
+   *         description: Subscription created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Webhook'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       422:
+   *         description: Invalid subscription
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   */
+
+  //2. POST a new webhook subscription
+  router.post("/", (req, res) => {
+    const { value, errors } = validate(webhookInputSchema, req.body);
+    if (errors.length > 0) {
+      return rejectInvalid(res, errors);
+    }
+    const subscription = webhooks.create(value);
+    const { secret, ...audited } = subscription;
+    res.locals.audit = {
+      target: { type: "webhook", id: subscription.id },
+      before: null,
+      after: audited,
+    };
+    res.status(201).json(subscription);
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/dead-letters:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: List deliveries that ran out of attempts
+   *     description: |
+   *       Deliveries land here after WEBHOOK_MAX_ATTEMPTS failed attempts.
+   *       Send them again with `POST /admin/webhooks/deliveries/{id}/redeliver`.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Dead deliveries, newest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/WebhookDelivery'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   */
+
+  //3. GET the dead-letter list
+  router.get("/dead-letters", (req, res) => {
+    res.json(webhooks.deadLetters());
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/deliveries/{id}/redeliver:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Send a delivery again
+   *     description: |
+   *       Queues a dead (or delivered) delivery again with a fresh set of
+   *       attempts. The payload is sent unchanged, so receivers can use its
+   *       `id` to ignore events they already handled.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The delivery id
+   *     responses:
+   *       202:
+   *         description: Delivery queued
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/WebhookDelivery'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: Delivery not found
+   *       409:
+   *         description: The delivery is still pending
+   */
+
+  //4. POST redeliver a delivery
+  router.post("/deliveries/:id/redeliver", (req, res) => {
+    const delivery = webhooks.getDelivery(req.params.id);
+    if (!delivery) {
+      return sendProblem(res, "delivery_not_found");
+    }
+    if (delivery.status === "pending") {
+      return sendProblem(res, "delivery_pending");
+    }
+    const queued = webhooks.redeliver(delivery.id);
+    res.locals.audit = {
+      target: { type: "webhookDelivery", id: delivery.id },
+      before: { status: delivery.status },
+      after: { status: queued.status },
+    };
+    res.status(202).json(queued);
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/{id}:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: Get a webhook subscription
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The subscription id
+   *     responses:
+   *       200:
+   *         description: The subscription
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Webhook'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: Webhook not found
+   */
+
+  //5. GET a webhook subscription
+  router.get("/:id", (req, res) => {
+    const subscription = webhooks.get(req.params.id);
+    if (subscription) {
+      res.json(subscription);
+    } else {
+      sendProblem(res, "webhook_not_found");
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/{id}:
+   *   delete:
+   *     tags:
+   *       - Webhooks
+   *     summary: Delete a webhook subscription
+   *     description: Pending deliveries are dropped along with the delivery log.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The subscription id
+   *     responses:
+   *       200:
+   *         description: Webhook deleted
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: Webhook not found
+   */
+
+  //6. DELETE a webhook subscription
+  router.delete("/:id", (req, res) => {
+    const subscription = webhooks.get(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, "webhook_not_found");
+    }
+    webhooks.remove(subscription.id);
+    res.locals.audit = {
+      target: { type: "webhook", id: subscription.id },
+      before: subscription,
+      after: null,
+    };
+    res.json({ message: "Webhook deleted" });
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/{id}/deliveries:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: Get the delivery log of a subscription
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The subscription id
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, delivered, dead]
+   *         description: Only deliveries with this status
+   *     responses:
+   *       200:
+   *         description: Deliveries with every attempt made, newest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/WebhookDelivery'
+   *       400:
+   *         description: Invalid status
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: Webhook not found
+   */
+
+  //7. GET the delivery log of a subscription
+  router.get("/:id/deliveries", (req, res) => {
+    const subscription = webhooks.get(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, "webhook_not_found");
+    }
+    const { status } = req.query;
+    if (
+      status !== undefined &&
+      !["pending", "delivered", "dead"].includes(status)
+    ) {
+      return sendProblem(
+        res,
+        "invalid_parameter",
+        "status must be one of pending, delivered, dead"
+      );
+    }
+    res.json(webhooks.deliveries(subscription.id, { status }));
+  });
+
+  /**
+   * @swagger
+   * /admin/webhooks/{id}/test:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Send a test event to a subscription
+   *     description: |
+   *       Queues a `webhook.test` delivery, signed like any other, to check
+   *       that the receiver is reachable and verifies signatures.
+   *     security:
+   *       - ApiKeyAuth: []
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The subscription id
+   *     responses:
+   *       202:
+   *         description: Test delivery queued; follow it in the delivery log
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/WebhookDelivery'
+   *       401:
+   *         description: Missing or invalid API key
+   *       403:
+   *         description: API key lacks the admin scope
+   *       404:
+   *         description: Webhook not found
+   */
+
+  //8. POST a test event
+  router.post("/:id/test", (req, res) => {
+    const subscription = webhooks.get(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, "webhook_not_found");
+    }
+    res.status(202).json(webhooks.test(subscription.id));
+  });
+
+  return router;
+};
@@ -0,0 +1,83 @@
+import { createMemoryStore } from "./memoryStore.js";
+import { createJsonFileStore } from "./jsonFileStore.js";
+import { createSqliteStore } from "./sqliteStore.js";
+
+const WRITE_METHODS = ["insert", "insertMany", "update", "remove", "clear"];
+
+const defaultPaths = {
+  json: "data/jokes.json",
+  sqlite: "data/jokes.sqlite",
+};
+
+// Wrap `store` so that every write through it, to any collection or to the
+// meta table, moves `lastChangedAt()` forward. It starts at the time the
+// store is opened: nothing earlier is known, and a later time is always
+// safe to hand out as Last-Modified.
+const trackChanges = (store) => {
+  let changedAt = new Date();
+  const collections = new Map();
+
+  const tracked = (collection) => ({
+    ...collection,
+    ...Object.fromEntries(
+      WRITE_METHODS.map((method) => [
+        method,
+        (...args) => {
+          const result = collection[method](...args);
+          changedAt = new Date();
+          return result;
+        },
+      ])
+    ),
+  });
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, tracked(store.collection(name)));
+      }
+      return collections.get(name);
+    },
+    getMeta: store.getMeta,
+    setMeta(key, value) {
+      store.setMeta(key, value);
+      changedAt = new Date();
+    },
+    lastChangedAt: () => changedAt,
+  };
+};
+
+/**
+ * Open the storage backend selected by `driver` ("json", "sqlite" or
+ * "memory"). Every backend exposes the same synchronous interface:
+ * `collection(name)` returning `all/get/count/insert/insertMany/update/remove/clear`,
+ * plus `getMeta/setMeta` for small bookkeeping values and `lastChangedAt()`,
+ * the time of the latest write.
+ *
+ * On first start the `jokes` collection is seeded from `seed`. The seeded
+ * flag is stored alongside the data, so an emptied catalogue stays empty
+ * across restarts.
+ */
+export const createStore = async ({ driver = "json", path, seed = [] } = {}) => {
+  let store;
+  switch (driver) {
+    case "json":
+      store = createJsonFileStore(path || defaultPaths.json);
+      break;
+    case "sqlite":
+      store = createSqliteStore(path || defaultPaths.sqlite);
+      break;
+    case "memory":
+      store = createMemoryStore();
+      break;
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+
+  if (!store.getMeta("seeded")) {
+    store.collection("jokes").insertMany(seed.map((joke) => ({ ...joke })));
+    store.setMeta("seeded", true);
+  }
+
+  return trackChanges(store);
+};
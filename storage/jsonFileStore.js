@@ -0,0 +1,45 @@
+import fs from "fs";
+import path from "path";
+import { createMemoryStore } from "./memoryStore.js";
+
+// Writes within this many milliseconds of each other are saved together, so
+// a burst of changes (a bulk import, a backfill loop, the audit entry that
+// follows each write) rewrites the file once instead of once per record.
+const FLUSH_DELAY_MS = 100;
+
+const readState = (file) => {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+// Write to a temp file and rename it over the old one, so a crash mid-write
+// never leaves a truncated catalogue behind.
+const writeState = (file, state) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+};
+
+export const createJsonFileStore = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let snapshot;
+  let timer;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    if (snapshot) {
+      writeState(file, snapshot());
+      snapshot = undefined;
+    }
+  };
+  // Save whatever is still pending when the process ends.
+  process.on("exit", flush);
+
+  return createMemoryStore(readState(file), (current) => {
+    snapshot = current;
+    timer ??= setTimeout(flush, FLUSH_DELAY_MS);
+  });
+};
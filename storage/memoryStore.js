@@ -0,0 +1,104 @@
+// In-memory backend. Also the base for the JSON file backend, which keeps the
+// same structure in memory and is told after every write so it can schedule
+// a flush to disk.
+
+const toKey = (id) => String(id);
+
+const createMemoryCollection = (records, onChange) => {
+  const rows = new Map(records.map((record) => [toKey(record.id), record]));
+
+  return {
+    all() {
+      return [...rows.values()];
+    },
+    get(id) {
+      return rows.get(toKey(id));
+    },
+    count() {
+      return rows.size;
+    },
+    insert(record) {
+      const key = toKey(record.id);
+      if (rows.has(key)) {
+        throw new Error(`Duplicate id "${key}"`);
+      }
+      rows.set(key, record);
+      onChange();
+      return record;
+    },
+    insertMany(records) {
+      records.forEach((record) => {
+        const key = toKey(record.id);
+        if (rows.has(key)) {
+          throw new Error(`Duplicate id "${key}"`);
+        }
+        rows.set(key, record);
+      });
+      onChange();
+      return records;
+    },
+    update(id, record) {
+      const key = toKey(id);
+      if (!rows.has(key)) {
+        return undefined;
+      }
+      rows.set(key, record);
+      onChange();
+      return record;
+    },
+    remove(id) {
+      const removed = rows.delete(toKey(id));
+      if (removed) {
+        onChange();
+      }
+      return removed;
+    },
+    clear() {
+      rows.clear();
+      onChange();
+    },
+  };
+};
+
+/**
+ * `onChange` is called after every write with a function returning the
+ * whole state as `{ meta, collections }`. Building that state copies every
+ * collection, so listeners should call it only when they actually save.
+ */
+export const createMemoryStore = (initial = {}, onChange = () => {}) => {
+  const meta = { ...(initial.meta || {}) };
+  // Records of collections nobody has opened yet, kept as they were loaded.
+  const unopened = { ...(initial.collections || {}) };
+  const collections = new Map();
+
+  const snapshot = () => ({
+    meta,
+    collections: {
+      ...unopened,
+      ...Object.fromEntries(
+        [...collections].map(([name, collection]) => [name, collection.all()])
+      ),
+    },
+  });
+  const emit = () => onChange(snapshot);
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(
+          name,
+          createMemoryCollection(unopened[name] || [], emit)
+        );
+        delete unopened[name];
+      }
+      return collections.get(name);
+    },
+    getMeta(key) {
+      return meta[key];
+    },
+    setMeta(key, value) {
+      meta[key] = value;
+      emit();
+    },
+  };
+};
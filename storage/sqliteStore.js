@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// Embedded SQLite backend. Each collection is a table of JSON documents
+// keyed by id. Every write changes just its own rows in the database file
+// (in WAL mode, so a write is a short append); each collection is parsed
+// once when it is opened and served from memory after that.
+
+const toKey = (id) => String(id);
+
+const tableName = (name) => {
+  if (!/^[a-z][a-zA-Z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid collection name "${name}"`);
+  }
+  return `"${name}"`;
+};
+
+const createSqliteCollection = (db, name) => {
+  const table = tableName(name);
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`
+  );
+  const statements = {
+    insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+    update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+    remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    clear: db.prepare(`DELETE FROM ${table}`),
+  };
+
+  // In rowid order: inserts append to the map and updates keep their place,
+  // just like rows in the table.
+  const rows = new Map(
+    db
+      .prepare(`SELECT id, data FROM ${table} ORDER BY rowid`)
+      .raw()
+      .all()
+      .map(([id, data]) => [id, JSON.parse(data)])
+  );
+
+  // Duplicates are refused before anything is written, so the table and
+  // the map never disagree.
+  const checkNew = (records) => {
+    const keys = new Set();
+    records.forEach((record) => {
+      const key = toKey(record.id);
+      if (rows.has(key) || keys.has(key)) {
+        throw new Error(`Duplicate id "${key}"`);
+      }
+      keys.add(key);
+    });
+  };
+
+  const insertRows = db.transaction((records) =>
+    records.forEach((record) =>
+      statements.insert.run(toKey(record.id), JSON.stringify(record))
+    )
+  );
+
+  return {
+    all() {
+      return [...rows.values()];
+    },
+    get(id) {
+      return rows.get(toKey(id));
+    },
+    count() {
+      return rows.size;
+    },
+    insert(record) {
+      checkNew([record]);
+      statements.insert.run(toKey(record.id), JSON.stringify(record));
+      rows.set(toKey(record.id), record);
+      return record;
+    },
+    insertMany(records) {
+      checkNew(records);
+      insertRows(records);
+      records.forEach((record) => rows.set(toKey(record.id), record));
+      return records;
+    },
+    update(id, record) {
+      const key = toKey(id);
+      if (!rows.has(key)) {
+        return undefined;
+      }
+      statements.update.run(JSON.stringify(record), key);
+      rows.set(key, record);
+      return record;
+    },
+    remove(id) {
+      const key = toKey(id);
+      if (!rows.has(key)) {
+        return false;
+      }
+      statements.remove.run(key);
+      return rows.delete(key);
+    },
+    clear() {
+      statements.clear.run();
+      rows.clear();
+    },
+  };
+};
+
+export const createSqliteStore = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  // Checkpoint the write-ahead log into the database file on the way out.
+  process.on("exit", () => db.close());
+
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+  const selectMeta = db.prepare("SELECT value FROM meta WHERE key = ?").pluck();
+  const upsertMeta = db.prepare(
+    "INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"
+  );
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createSqliteCollection(db, name));
+      }
+      return collections.get(name);
+    },
+    getMeta(key) {
+      const value = selectMeta.get(key);
+      return value === undefined ? undefined : JSON.parse(value);
+    },
+    setMeta(key, value) {
+      upsertMeta.run(key, JSON.stringify(value));
+    },
+  };
+};